@@ -5,7 +5,10 @@
 // @description  Control the content displayed in your activity feeds
 // @author       SeyTi01
 // @match        https://anilist.co/*
-// @grant        none
+// @grant        GM_getValue
+// @grant        GM_setValue
+// @grant        unsafeWindow
+// @run-at       document-start
 // @license      MIT
 // ==/UserScript==
 
@@ -16,15 +19,33 @@ const config = {
         text: false, // Remove activities with only text
         uncommented: false, // Remove activities without comments
         unliked: false, // Remove activities without likes
-        containsStrings: [], // Remove activities containing user-defined strings
+        containsStrings: [], // Remove activities containing user-defined strings or regular expressions
+        types: [], // Remove activities of the given types (e.g. 'planning', 'completed', 'text', 'message')
+        users: [], // Remove activities posted by these users
+        minLikes: 0, // Remove activities with fewer likes than this (0 to disable)
+        minReplies: 0, // Remove activities with fewer replies than this (0 to disable)
+        media: [], // Remove list activities for media matching these rules (AniList ID, title or { id, title, type })
+    },
+    keep: {
+        users: [], // Always display activities posted by these users
     },
     options: {
         targetLoadCount: 2, // Minimum number of activities to display per "Load More" button click
+        maxAgeHours: 0, // Stop loading once activities older than this many hours are reached (0 to disable)
+        maxLoadClicks: 0, // Stop after this many automatic "Load More" clicks per click (0 to disable)
+        maxScanned: 0, // Stop after checking this many activities per "Load More" click (0 to disable)
         caseSensitive: false, // Use case-sensitive matching for string-based removal
         reverseConditions: false, // Display only posts that meet the specified removal conditions
         linkedConditions: [], // Groups of conditions to be checked together
+        filterExpression: '', // Boolean expression of conditions, e.g. '(images AND NOT liked) OR contains("spoiler")'
+        removalMode: 'remove', // How to handle filtered activities: 'remove', 'hide' or 'collapse'
+        debug: false, // Show why each activity was removed or kept and log the decision to the console
+        useApiData: true, // Read activity details from AniList's API responses, falling back to the page markup
+        selectors: {}, // Override page selectors until a fixed release ships, e.g. { DIV: { LIKES: 'div.likes' } }
+        hotkeys: { pause: 'Alt+P', reverse: 'Alt+R', cancel: 'Alt+C', settings: 'Alt+S' }, // Keyboard shortcuts ('' to disable one)
+        subscriptions: [], // Shared filter lists merged with the rules above, e.g. [{ name: 'Spoilers', source: 'contains: spoiler' }]
     },
-    runOn: {
+    runOn: { // Each location also accepts a profile, e.g. { remove: { unliked: true } }, to use different rules there
         home: true, // Run the script on the home feed
         social: true, // Run the script on the 'Recent Activity' of anime/manga entries
         profile: false, // Run the script on user profile feeds
@@ -37,48 +58,337 @@ class MainApp {
         this.ac = activityHandler;
         this.ui = uiHandler;
         this.config = config;
+        this.activeConfig = config;
+        this.profiles = new Map();
+        this.reverseOverride = null;
+        this.subscriptions = new FilterSubscriptions(config.options.subscriptions);
+        this.settings = null;
+        this.statsPanel = null;
+        this.toolbar = null;
+        this.diagnostics = null;
+        this.diagnosticsTimer = null;
+        this.pendingEntries = new Set();
+        this.sessionEntries = new Set();
+        this.refreshTimer = null;
+        this.loader = new LoadController(uiHandler, this.continueLoading, this.handleLoadComplete);
     }
 
     observeMutations = (mutations) => {
         if (this.isAllowedUrl()) {
-            mutations.forEach(mutation => mutation.addedNodes.forEach(node => this.handleAddedNode(node)));
-            this.loadMoreOrReset();
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => this.handleAddedNode(node));
+                this.trackEntryChange(mutation);
+            });
+        }
+    }
+
+    trackEntryChange = (mutation) => {
+        const element = mutation.target instanceof HTMLElement ? mutation.target : mutation.target.parentElement;
+        const entry = element?.closest(`${selectors.DIV.ACTIVITY}[${this.PROCESSED_ATTRIBUTE}]`);
+
+        if (entry && !this.isOwnMutation(mutation, element)) {
+            this.pendingEntries.add(entry);
+            this.scheduleRefresh();
         }
     }
 
+    isOwnMutation = (mutation, element) => {
+        const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+
+        return element.closest(this.OWN_NODES) !== null
+            || (nodes.length > 0 && nodes.every(node => node instanceof HTMLElement && node.matches(this.OWN_NODES)));
+    }
+
+    scheduleRefresh = () => {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(this.refreshEntries, this.REFRESH_DELAY);
+    }
+
+    refreshEntries = () => {
+        this.refreshTimer = null;
+        this.pendingEntries.forEach(entry => {
+            if (entry.isConnected) {
+                this.ac.reprocessNode(entry);
+            }
+        });
+        this.pendingEntries.clear();
+    }
+
     handleAddedNode = (node) => {
         if (node instanceof HTMLElement) {
             if (node.matches(selectors.DIV.ACTIVITY)) {
-                this.ac.processNode(node);
+                this.processActivity(node);
             } else if (node.matches(selectors.DIV.BUTTON)) {
-                this.ui.assignLoadMore(node);
+                this.assignLoadMore(node);
+            } else {
+                this.scanNode(node);
             }
         }
     }
 
-    loadMoreOrReset = () => {
-        if (this.ac.currentLoadCount < this.config.options.targetLoadCount && this.ui.userPressed) {
-            this.ui.clickLoadMore();
-        } else {
+    processActivity = (node) => {
+        if (node.hasAttribute(this.PROCESSED_ATTRIBUTE)) {
+            return;
+        }
+
+        node.setAttribute(this.PROCESSED_ATTRIBUTE, '');
+        this.sessionEntries.add(node);
+        this.diagnostics?.inspect(node);
+
+        const feed = node.parentElement;
+        this.ac.processNode(node);
+        this.settings?.injectButton(feed);
+        this.statsPanel?.injectButton(feed);
+        this.toolbar?.inject(feed);
+        this.loader.notify();
+    }
+
+    assignLoadMore = (button) => {
+        this.ui.assignLoadMore(button);
+        this.diagnostics?.inspectLoadMore();
+        this.loader.allowRestart();
+        this.loader.notify();
+    }
+
+    startLoading = () => {
+        if (!this.loader.isLoading()) {
             this.ac.resetLoadCount();
-            this.ui.resetState();
+            this.loader.start();
+        }
+    }
+
+    continueLoading = () => {
+        if (!this.ui.userPressed || !this.shouldLoadMore()) {
+            return false;
+        }
+
+        this.ui.showProgress(this.ac.currentLoadCount, this.activeConfig.options.targetLoadCount);
+        return true;
+    }
+
+    handleLoadComplete = (result) => {
+        this.ac.resetLoadCount();
+        this.ui.resetState();
+
+        if (result === 'end-of-feed') {
+            this.ui.showToast('No more activities to load');
         }
     }
 
+    initializeHotkeys = () => {
+        document.addEventListener('keydown', this.handleKeydown);
+    }
+
+    handleKeydown = (event) => {
+        const target = event.target;
+        if (target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)) {
+            return;
+        }
+
+        const pressed = this.getPressedHotkey(event);
+        const action = Object.entries(this.config.options.hotkeys ?? {})
+            .find(([, hotkey]) => hotkey && this.normalizeHotkey(hotkey) === pressed)?.[0];
+
+        if (action) {
+            event.preventDefault();
+            this.HOTKEY_ACTIONS[action]();
+        }
+    }
+
+    getPressedHotkey = (event) => {
+        const key = event.code?.match(/^(?:Key|Digit)(.)$/)?.[1] ?? event.key;
+
+        return [event.ctrlKey && 'ctrl', event.altKey && 'alt', event.shiftKey && 'shift', event.metaKey && 'meta', key.toLowerCase()]
+            .filter(Boolean)
+            .join('+');
+    }
+
+    normalizeHotkey = (hotkey) => {
+        const parts = hotkey.toLowerCase().split('+').map(part => part.trim());
+        const key = parts.pop();
+
+        return [...['ctrl', 'alt', 'shift', 'meta'].filter(modifier => parts.includes(modifier)), key].join('+');
+    }
+
+    togglePause = () => {
+        this.ac.paused = !this.ac.paused;
+        this.refreshPage();
+        this.ui.showToast(this.ac.paused ? 'Filtering paused' : 'Filtering resumed');
+    }
+
+    toggleReverse = () => {
+        this.reverseOverride = !this.activeConfig.options.reverseConditions;
+        this.profiles.clear();
+        this.refreshPage();
+        this.ui.showToast(`Reverse conditions ${this.reverseOverride ? 'on' : 'off'}`);
+    }
+
+    cancelLoading = () => {
+        this.ui.cancelLoading();
+        this.ui.showToast('Auto-loading cancelled');
+    }
+
+    toggleCondition = (condition) => {
+        this.ac.quickFilters[condition] = !this.ac.isConditionEnabled(condition);
+        this.refreshPage();
+    }
+
+    refreshPage = () => {
+        if (this.isAllowedUrl()) {
+            this.sessionEntries.forEach(node => this.ac.isOnPage(node) ? this.ac.reprocessNode(node) : null);
+        }
+
+        this.toolbar?.update();
+    }
+
+    HOTKEY_ACTIONS = {
+        pause: () => this.togglePause(),
+        reverse: () => this.toggleReverse(),
+        cancel: () => this.cancelLoading(),
+        settings: () => this.settings?.toggle(),
+    };
+
+    shouldLoadMore = () => {
+        const { targetLoadCount, maxAgeHours, maxLoadClicks, maxScanned } = this.activeConfig.options;
+
+        return this.ac.currentLoadCount < targetLoadCount
+            && !(maxAgeHours > 0 && this.ac.oldestAge >= maxAgeHours * 3600000)
+            && !(maxLoadClicks > 0 && this.ui.loadClicks >= maxLoadClicks)
+            && !(maxScanned > 0 && this.ac.scannedCount >= maxScanned);
+    }
+
     isAllowedUrl = () => {
+        const location = this.getActiveLocation();
+
+        if (location) {
+            this.activeConfig = this.resolveProfile(location);
+            this.ac.config = this.activeConfig;
+            this.ac.location = location;
+        }
+
+        return location !== null;
+    }
+
+    getActiveLocation = () => {
         const allowedPatterns = Object.keys(this.URLS).filter(pattern => this.config.runOn[pattern]);
 
-        return allowedPatterns.some(pattern => {
+        return allowedPatterns.find(pattern => {
             const regex = new RegExp(this.URLS[pattern].replace('*', '.*'));
             return regex.test(window.location.href);
+        }) ?? null;
+    }
+
+    resolveProfile = (location) => {
+        if (!this.profiles.has(location)) {
+            const profile = this.config.runOn[location];
+            const resolved = this.subscriptions.apply(isPlainObject(profile) ? deepMerge(JSON.parse(JSON.stringify(this.config)), profile) : this.config);
+            this.profiles.set(location, this.reverseOverride === null
+                ? resolved
+                : deepMerge(JSON.parse(JSON.stringify(resolved)), { options: { reverseConditions: this.reverseOverride } }));
+        }
+
+        return this.profiles.get(location);
+    }
+
+    getSubscriptionProblems = () => this.subscriptions.problems.map(problem => `filter list ${problem} (ignored)`);
+
+    applyConfig = (config) => {
+        this.config = config;
+        this.activeConfig = config;
+        this.reverseOverride = null;
+        this.profiles.clear();
+        this.subscriptions = new FilterSubscriptions(config.options.subscriptions);
+        this.ac.config = config;
+        applySelectorOverrides(config.options.selectors);
+        this.refreshPage();
+
+        const problems = this.getSubscriptionProblems();
+        if (problems.length > 0) {
+            this.ui.showConfigNotice(problems);
+        }
+    }
+
+    initializeRouteListener = () => {
+        const pageWindow = getPageWindow();
+        this.currentUrl = window.location.href;
+
+        ['pushState', 'replaceState'].forEach(method => {
+            const original = pageWindow.history[method];
+            pageWindow.history[method] = (...args) => {
+                const result = original.apply(pageWindow.history, args);
+                this.handleRouteChange();
+                return result;
+            };
         });
+
+        pageWindow.addEventListener('popstate', this.handleRouteChange);
+    }
+
+    handleRouteChange = () => {
+        if (window.location.href === this.currentUrl) {
+            return;
+        }
+
+        this.currentUrl = window.location.href;
+        this.loader.stop();
+        this.ac.resetLoadCount();
+        this.ui.resetRoute();
+        this.pendingEntries.clear();
+        this.sessionEntries.clear();
+        this.diagnostics?.reset();
+
+        if (this.isAllowedUrl()) {
+            this.scanPage();
+            this.scheduleDiagnostics();
+        }
+    }
+
+    scheduleDiagnostics = () => {
+        if (!this.diagnostics) {
+            return;
+        }
+
+        clearTimeout(this.diagnosticsTimer);
+        this.diagnosticsTimer = setTimeout(() => {
+            const broken = this.isAllowedUrl() ? this.diagnostics.report() : [];
+
+            if (broken.length > 0) {
+                this.ui.showWarning(broken);
+            }
+        }, this.DIAGNOSTICS_DELAY);
+    }
+
+    scanPage = () => this.scanNode(document);
+
+    scanNode = (root) => {
+        root.querySelectorAll(selectors.DIV.ACTIVITY).forEach(this.processActivity);
+
+        const button = root.querySelector(selectors.DIV.BUTTON);
+        if (button) {
+            this.assignLoadMore(button);
+        }
     }
 
     initializeObserver = () => {
         this.observer = new MutationObserver(this.observeMutations);
-        this.observer.observe(document.body, { childList: true, subtree: true });
+        this.observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+
+        if (this.isAllowedUrl()) {
+            this.ac.resetLoadCount();
+            this.scanPage();
+            this.loader.start();
+            this.scheduleDiagnostics();
+        }
     }
 
+    PROCESSED_ATTRIBUTE = 'data-filter-processed';
+
+    OWN_NODES = '.filter-debug-badge, .filter-placeholder';
+
+    REFRESH_DELAY = 250;
+
+    DIAGNOSTICS_DELAY = 10000;
+
     URLS = {
         home: 'https://anilist.co/home',
         social: 'https://anilist.co/*/social',
@@ -88,9 +398,20 @@ class MainApp {
 }
 
 class ActivityHandler {
-    constructor(config) {
+    constructor(config, data = null) {
         this.currentLoadCount = 0;
+        this.scannedCount = 0;
+        this.oldestAge = 0;
         this.config = config;
+        this.data = data;
+        this.stats = null;
+        this.location = null;
+        this.paused = false;
+        this.patterns = new Map();
+        this.liveCounts = false;
+        this.verdicts = new WeakMap();
+        this.markers = new WeakMap();
+        this.quickFilters = {};
         this.linked = {
             TRUE: 1,
             FALSE: 0,
@@ -99,29 +420,234 @@ class ActivityHandler {
     }
 
     CONDITIONS_MAP = new Map([
+        ['users', (node, reverse) => reverse ? !this.evaluateUserRemoval(node) : this.evaluateUserRemoval(node)],
+        ['keepUsers', (node, reverse) => reverse ? !this.evaluateUserKeep(node) : this.evaluateUserKeep(node)],
         ['uncommented', (node, reverse) => reverse ? !this.evaluateUncommentedRemoval(node) : this.evaluateUncommentedRemoval(node)],
         ['unliked', (node, reverse) => reverse ? !this.evaluateUnlikedRemoval(node) : this.evaluateUnlikedRemoval(node)],
         ['text', (node, reverse) => reverse ? !this.evaluateTextRemoval(node) : this.evaluateTextRemoval(node)],
         ['images', (node, reverse) => reverse ? !this.evaluateImageRemoval(node) : this.evaluateImageRemoval(node)],
         ['videos', (node, reverse) => reverse ? !this.evaluateVideoRemoval(node) : this.evaluateVideoRemoval(node)],
         ['containsStrings', (node, reverse) => this.evaluateStringRemoval(node, reverse)],
+        ['types', (node, reverse) => reverse ? !this.evaluateTypeRemoval(node) : this.evaluateTypeRemoval(node)],
+        ['minLikes', (node, reverse) => reverse ? !this.evaluateMinLikesRemoval(node) : this.evaluateMinLikesRemoval(node)],
+        ['minReplies', (node, reverse) => reverse ? !this.evaluateMinRepliesRemoval(node) : this.evaluateMinRepliesRemoval(node)],
+        ['media', (node, reverse) => reverse ? !this.evaluateMediaRemoval(node) : this.evaluateMediaRemoval(node)],
     ]);
 
+    LIST_STATUSES = [
+        ['rewatched', /^rewatched/],
+        ['reread', /^reread/],
+        ['watched', /^watched/],
+        ['read', /^read/],
+        ['completed', /^completed/],
+        ['planning', /^plans to/],
+        ['dropped', /^dropped/],
+        ['paused', /^paused/],
+    ];
+
     processNode(node) {
-        const { options: { reverseConditions } } = this.config;
-        const linkedResult = this.evaluateLinkedConditions(node);
+        const decision = this.evaluateNode(node);
+        this.scannedCount++;
+
+        if (this.config.options.maxAgeHours > 0) {
+            this.oldestAge = Math.max(this.oldestAge, this.getActivityAge(node) ?? 0);
+        }
+
+        if (this.config.options.debug) {
+            this.showDecision(node, decision);
+        }
+
+        this.verdicts.set(node, decision.verdict);
+        this.stats?.record(decision.verdict, this.location, decision.verdict === 'removed' ? this.getRemovalReasons(decision) : []);
+        decision.verdict === 'removed' ? this.removeNode(node, decision) : this.currentLoadCount++;
+        return decision;
+    }
+
+    reprocessNode(node) {
+        const previous = this.verdicts.get(node);
+        let decision;
 
-        const shouldRemoveNode = reverseConditions
-            ? this.evaluateReverseConditions(node, linkedResult)
-            : this.evaluateNormalConditions(node, linkedResult);
+        this.liveCounts = true;
+        try {
+            decision = this.evaluateNode(node);
+        } finally {
+            this.liveCounts = false;
+        }
+
+        if (this.config.options.debug) {
+            this.showDecision(node, decision);
+        }
 
-        shouldRemoveNode ? node.remove() : this.currentLoadCount++;
+        this.verdicts.set(node, decision.verdict);
+        if (decision.verdict !== previous) {
+            decision.verdict === 'removed' ? this.removeNode(node, decision) : this.restoreNode(node);
+        }
+        return decision;
     }
 
-    evaluateLinkedConditions(node) {
-        const { options: { linkedConditions } } = this.config;
+    evaluateNode(node) {
+        const { options: { reverseConditions, linkedConditions } } = this.config;
         this.linkedConditionsFlat = linkedConditions.flat();
 
+        const decision = {
+            source: 'conditions',
+            reversed: reverseConditions,
+            conditions: [],
+            linkedGroups: [],
+            matchedGroup: null,
+            verdict: 'kept',
+        };
+
+        if (this.paused) {
+            decision.source = 'paused';
+            return decision;
+        }
+
+        if (!this.isConditionInLinked('keepUsers') && this.evaluateUserKeep(node)) {
+            decision.source = 'keep.users';
+            decision.conditions.push({ name: 'keepUsers', result: true });
+            return decision;
+        }
+
+        const expression = this.getExpression();
+
+        const shouldRemoveNode = expression
+            ? this.evaluateExpression(node, expression, decision)
+            : this.evaluateLegacyConditions(node, decision);
+
+        decision.verdict = shouldRemoveNode ? 'removed' : 'kept';
+        return decision;
+    }
+
+    evaluateExpression(node, expression, decision) {
+        const result = expression.evaluate(node, this);
+        const counted = this.config.options.reverseConditions ? !result : result;
+
+        decision.source = 'filterExpression';
+        decision.conditions.push({ name: 'filterExpression', result: counted });
+
+        return counted;
+    }
+
+    removeNode(node, decision) {
+        switch (this.config.options.removalMode) {
+            case 'hide':
+                node.style.display = 'none';
+                break;
+            case 'collapse':
+                this.collapseNode(node, this.getRemovalReasons(decision));
+                break;
+            default:
+                this.markers.set(node, document.createComment('filtered activity'));
+                node.before(this.markers.get(node));
+                node.remove();
+        }
+    }
+
+    restoreNode(node) {
+        const marker = this.markers.get(node);
+        if (marker) {
+            marker.isConnected ? marker.replaceWith(node) : null;
+            this.markers.delete(node);
+        }
+
+        const placeholder = node.previousElementSibling;
+        if (placeholder?.classList.contains('filter-placeholder')) {
+            placeholder.remove();
+        }
+
+        node.style.display = '';
+    }
+
+    isOnPage = (node) => node.isConnected || Boolean(this.markers.get(node)?.isConnected);
+
+    collapseNode(node, reasons) {
+        const PLACEHOLDER_STYLE = `
+            margin-bottom: 15px;
+            padding: 6px 12px;
+            border-radius: 4px;
+            background-color: rgb(var(--color-foreground));
+            color: rgb(var(--color-text-lighter));
+            font-size: 1.2rem;
+            cursor: pointer;
+            `;
+
+        const placeholder = Object.assign(document.createElement('div'), {
+            className: 'filter-placeholder',
+            textContent: `Hidden: ${reasons.join(', ')} (click to expand)`,
+            style: PLACEHOLDER_STYLE,
+            onclick: () => {
+                node.style.display = '';
+                placeholder.remove();
+            },
+        });
+
+        node.style.display = 'none';
+        node.before(placeholder);
+    }
+
+    showDecision(node, decision) {
+        const BADGE_STYLE = `
+            position: absolute;
+            top: 0;
+            right: 0;
+            z-index: 10;
+            padding: 2px 6px;
+            border-radius: 0 4px 0 4px;
+            background-color: ${decision.verdict === 'removed' ? 'rgb(var(--color-red))' : 'rgb(var(--color-green))'};
+            color: rgb(var(--color-white));
+            font-size: 1.1rem;
+            `;
+
+        const reasons = this.getRemovalReasons(decision);
+        const summary = `${decision.verdict}${reasons.length > 0 ? `: ${reasons.join(', ')}` : ''}`;
+
+        node.querySelector(':scope > .filter-debug-badge')?.remove();
+        node.style.position = 'relative';
+        node.appendChild(Object.assign(document.createElement('div'), {
+            className: 'filter-debug-badge',
+            textContent: summary,
+            title: JSON.stringify(decision, null, 2),
+            style: BADGE_STYLE,
+        }));
+
+        console.log(`Activity-Feed Filter: ${summary}`, decision, node);
+    }
+
+    getRemovalReasons(decision) {
+        const label = (name) => decision.reversed ? `not ${name}` : name;
+
+        return [
+            ...decision.linkedGroups.filter(group => group.result).map(group => label(group.conditions.join(' + '))),
+            ...decision.conditions.filter(condition => condition.result).map(condition => label(condition.name)),
+        ];
+    }
+
+    evaluateLegacyConditions(node, decision) {
+        const linkedResult = this.evaluateLinkedConditions(node, decision);
+
+        return this.config.options.reverseConditions
+            ? this.evaluateReverseConditions(node, linkedResult, decision)
+            : this.evaluateNormalConditions(node, linkedResult, decision);
+    }
+
+    getExpression() {
+        const source = this.config.options.filterExpression.trim();
+
+        if (!source) {
+            return null;
+        }
+
+        if (this.expression?.source !== source) {
+            this.expression = new FilterExpression(source);
+        }
+
+        return this.expression;
+    }
+
+    evaluateLinkedConditions(node, decision) {
+        const { options: { linkedConditions } } = this.config;
+
         if (this.linkedConditionsFlat.length === 0) {
             return this.linked.NONE;
         }
@@ -129,28 +655,34 @@ class ActivityHandler {
         const conditions = this.extractLinkedConditions(linkedConditions);
         const checkResult = conditions.map(c => this.evaluateConditionList(node, c));
 
+        decision.linkedGroups = conditions.map((group, i) => ({ conditions: group, result: checkResult[i] }));
+        decision.matchedGroup = conditions[checkResult.indexOf(true)] ?? null;
+
         return (checkResult.includes(true) && (!this.config.options.reverseConditions || !checkResult.includes(false)))
             ? this.linked.TRUE
             : this.linked.FALSE;
     }
 
-    evaluateReverseConditions(node, linkedResult) {
-        const { remove, options: { reverseConditions } } = this.config;
-
-        const checkedConditions = Array.from(this.CONDITIONS_MAP)
-            .filter(([name]) => !this.isConditionInLinked(name) && (remove[name] === true || remove[name].length > 0))
-            .map(([, predicate]) => predicate(node, reverseConditions));
+    evaluateReverseConditions(node, linkedResult, decision) {
+        const checkedConditions = this.checkConditions(node, decision);
 
         return linkedResult !== this.linked.FALSE && !checkedConditions.includes(false)
             && (linkedResult === this.linked.TRUE || checkedConditions.includes(true));
     }
 
-    evaluateNormalConditions(node, linkedResult) {
-        const { remove, options: { reverseConditions } } = this.config;
+    evaluateNormalConditions(node, linkedResult, decision) {
+        return linkedResult === this.linked.TRUE || this.checkConditions(node, decision).includes(true);
+    }
+
+    checkConditions(node, decision) {
+        const { options: { reverseConditions } } = this.config;
+
+        const results = [...this.CONDITIONS_MAP]
+            .filter(([name]) => !this.isConditionInLinked(name) && this.isConditionEnabled(name))
+            .map(([name, predicate]) => ({ name, result: Boolean(predicate(node, reverseConditions)) }));
 
-        return linkedResult === this.linked.TRUE || [...this.CONDITIONS_MAP].some(([name, predicate]) =>
-            !this.isConditionInLinked(name) && remove[name] && predicate(node, reverseConditions),
-        );
+        decision.conditions.push(...results);
+        return results.map(({ result }) => result);
     }
 
     evaluateConditionList(node, conditionList) {
@@ -174,151 +706,1838 @@ class ActivityHandler {
         return this.linkedConditionsFlat.includes(condition);
     }
 
+    isConditionEnabled(condition) {
+        if (Object.hasOwn(this.quickFilters, condition)) {
+            return this.quickFilters[condition];
+        }
+
+        const value = this.config.remove[condition];
+        return value === true || value?.length > 0 || (Number.isInteger(value) && value > 0);
+    }
+
     evaluateStringRemoval = (node, reversed) => {
-        const { remove: { containsStrings }, options: { caseSensitive } } = this.config;
+        const { remove: { containsStrings } } = this.config;
 
         if (containsStrings.flat().length === 0) {
             return false;
         }
 
-        const containsString = (nodeText, strings) => !caseSensitive
-            ? nodeText.toLowerCase().includes(strings.toLowerCase())
-            : nodeText.includes(strings);
-
-        const checkStrings = (strings) => Array.isArray(strings)
-            ? strings.every(str => containsString(node.textContent, str))
-            : containsString(node.textContent, strings);
-
         return reversed
-            ? !containsStrings.some(checkStrings)
-            : containsStrings.some(checkStrings);
+            ? !this.matchesStrings(node, containsStrings)
+            : this.matchesStrings(node, containsStrings);
     };
 
-    evaluateTextRemoval = (node) =>
-        (node.classList.contains(selectors.ACTIVITY.TEXT) || node.classList.contains(selectors.ACTIVITY.MESSAGE))
-        && !(this.evaluateImageRemoval(node) || this.evaluateVideoRemoval(node));
-
-    evaluateVideoRemoval = (node) => node?.querySelector(selectors.CLASS.VIDEO)
-        || node?.querySelector(selectors.SPAN.YOUTUBE);
-
-    evaluateImageRemoval = (node) => node?.querySelector(selectors.CLASS.IMAGE);
+    matchesStrings = (node, entries) => {
+        const { options: { caseSensitive } } = this.config;
 
-    evaluateUncommentedRemoval = (node) => !node.querySelector(selectors.DIV.REPLIES)?.querySelector(selectors.SPAN.COUNT);
+        const containsString = (nodeText, strings) => {
+            const pattern = this.getPattern(strings);
 
-    evaluateUnlikedRemoval = (node) => !node.querySelector(selectors.DIV.LIKES)?.querySelector(selectors.SPAN.COUNT);
+            if (pattern) {
+                pattern.lastIndex = 0;
+                return pattern.test(nodeText);
+            }
 
-    resetLoadCount = () => this.currentLoadCount = 0;
-}
+            return !caseSensitive
+                ? nodeText.toLowerCase().includes(strings.toLowerCase())
+                : nodeText.includes(strings);
+        };
 
-class UIHandler {
-    constructor() {
-        this.userPressed = true;
-        this.cancel = null;
-        this.loadMore = null;
-    }
+        const text = this.getText(node);
+        const checkStrings = (strings) => Array.isArray(strings)
+            ? strings.every(str => containsString(text, str))
+            : containsString(text, strings);
 
-    assignLoadMore = (button) => {
-        this.loadMore = button;
-        this.loadMore.addEventListener('click', () => {
-            this.userPressed = true;
-            this.triggerScrollEvents();
-            this.displayCancel();
-        });
+        return entries.some(checkStrings);
     };
 
-    clickLoadMore = () => this.loadMore?.click() ?? null;
+    getText = (node) => {
+        if (!node.querySelector('.filter-debug-badge')) {
+            return node.textContent;
+        }
 
-    resetState = () => {
-        this.userPressed = false;
-        this.hideCancel();
+        const copy = node.cloneNode(true);
+        copy.querySelectorAll('.filter-debug-badge').forEach(badge => badge.remove());
+        return copy.textContent;
     };
 
-    displayCancel = () => {
-        this.cancel ? this.cancel.style.display = 'block' : this.createCancel();
-    }
+    getPattern = (entry) => {
+        const key = JSON.stringify(entry);
 
-    hideCancel = () => {
-        if (this.cancel) {
-            this.cancel.style.display = 'none';
+        if (!this.patterns.has(key)) {
+            this.patterns.set(key, parsePattern(entry));
         }
-    };
 
-    triggerScrollEvents = () => {
-        const domEvent = new Event('scroll', { bubbles: true });
-        const intervalId = setInterval(() => this.userPressed
-            ? window.dispatchEvent(domEvent)
-            : clearInterval(intervalId), 100);
+        return this.patterns.get(key);
     };
 
-    createCancel = () => {
-        const BUTTON_STYLE = `
-            position: fixed;
-            bottom: 10px;
-            right: 10px;
-            z-index: 9999;
-            line-height: 1.3;
-            background-color: rgb(var(--color-background-blue-dark));
-            color: rgb(var(--color-text-bright));
-            font: 1.6rem 'Roboto', -apple-system, BlinkMacSystemFont, 'Segoe UI', Oxygen, Ubuntu, Cantarell, 'Fira Sans', 'Droid Sans', 'Helvetica Neue', sans-serif;
-            -webkit-font-smoothing: antialiased;
-            box-sizing: border-box;
-            --button-color: rgb(var(--color-blue));
-            `;
-
-        this.cancel = Object.assign(document.createElement('button'), {
-            textContent: 'Cancel',
-            className: 'cancel-button',
-            style: BUTTON_STYLE,
-            onclick: () => {
-                this.userPressed = false;
-                this.cancel.style.display = 'none';
-            },
-        });
+    getActivityData = (node) => {
+        const id = this.data
+            ? node.querySelector(selectors.LINK.ACTIVITY)?.getAttribute('href')?.match(/\/activity\/(\d+)/)?.[1]
+            : null;
 
-        document.body.appendChild(this.cancel);
+        return id ? this.data.get(Number(id)) : undefined;
     };
-}
 
-class ConfigValidator {
-    constructor(config) {
-        this.config = config;
-        this.errors = [];
-    }
+    getActivityType = (node) => {
+        const data = this.getActivityData(node);
 
-    validate() {
-        this.validatePositiveNonZeroInteger('options.targetLoadCount', 'options.targetLoadCount');
-        this.validateLinkedConditions('options.linkedConditions');
-        this.validateStringArrays(['remove.containsStrings', 'options.linkedConditions']);
-        this.validateBooleans(['remove.uncommented', 'remove.unliked', 'remove.text', 'remove.images',
-            'remove.videos', 'options.caseSensitive', 'options.reverseConditions', 'runOn.home', 'runOn.social',
-            'runOn.profile', 'runOn.guestHome']);
+        if (data?.kind === 'text' || data?.kind === 'message') {
+            return data.kind;
+        }
 
-        if (this.errors.length > 0) {
-            throw new Error(`Script disabled due to configuration errors: ${this.errors.join(', ')}`);
+        if (data?.status) {
+            return this.matchStatus(data.status);
         }
-    }
 
-    validateBooleans(keys) {
-        keys.forEach(key => {
-            const value = this.getConfigValue(key);
-            typeof value !== 'boolean' ? this.errors.push(`${key} should be a boolean`) : null;
+        if (node.classList.contains(selectors.ACTIVITY.TEXT)) {
+            return 'text';
+        }
+
+        if (node.classList.contains(selectors.ACTIVITY.MESSAGE)) {
+            return 'message';
+        }
+
+        if (node.classList.contains(selectors.ACTIVITY.ANIME_LIST) || node.classList.contains(selectors.ACTIVITY.MANGA_LIST)) {
+            return this.matchStatus(node.querySelector(selectors.DIV.STATUS)?.textContent.trim().toLowerCase() ?? '');
+        }
+
+        return null;
+    };
+
+    matchStatus = (status) => this.LIST_STATUSES.find(([, pattern]) => pattern.test(status))?.[0] ?? null;
+
+    getAuthor = (node) => {
+        const user = this.getActivityData(node)?.user;
+        if (user) {
+            return user;
+        }
+
+        const link = node.querySelector(selectors.LINK.USER);
+        const name = link?.getAttribute('href')?.match(/\/user\/([^/]+)/)?.[1] ?? link?.textContent.trim();
+
+        return name ? decodeURIComponent(name).toLowerCase() : null;
+    };
+
+    matchesUser = (node, users) => {
+        const author = users.length > 0 ? this.getAuthor(node) : null;
+        return author !== null && users.some(user => user.toLowerCase() === author);
+    };
+
+    evaluateUserRemoval = (node) => this.matchesUser(node, this.config.remove.users);
+
+    evaluateUserKeep = (node) => this.matchesUser(node, this.config.keep.users);
+
+    getMedia = (node) => {
+        const media = this.getActivityData(node)?.media;
+        if (media) {
+            return media;
+        }
+
+        const isAnime = node.classList.contains(selectors.ACTIVITY.ANIME_LIST);
+        const link = isAnime || node.classList.contains(selectors.ACTIVITY.MANGA_LIST)
+            ? node.querySelector(selectors.LINK.MEDIA)
+            : null;
+
+        if (!link) {
+            return null;
+        }
+
+        const match = link.getAttribute('href')?.match(/\/(anime|manga)\/(\d+)/);
+
+        return {
+            id: match ? Number(match[2]) : null,
+            type: match?.[1] ?? (isAnime ? 'anime' : 'manga'),
+            title: link.textContent.trim(),
+        };
+    };
+
+    matchesTitle = (title, rule) => {
+        const pattern = this.getPattern(rule);
+
+        if (pattern) {
+            pattern.lastIndex = 0;
+            return pattern.test(title);
+        }
+
+        return title.toLowerCase() === rule.trim().toLowerCase();
+    };
+
+    matchesMedia = (node, rules) => {
+        const media = rules.length > 0 ? this.getMedia(node) : null;
+
+        return media !== null && rules.some(rule => {
+            const { id, title, type } = isPlainObject(rule) ? rule : { [typeof rule === 'number' ? 'id' : 'title']: rule };
+
+            return (id === undefined || id === media.id)
+                && (type === undefined || type === media.type)
+                && (title === undefined || this.matchesTitle(media.title, title));
+        });
+    };
+
+    evaluateMediaRemoval = (node) => this.matchesMedia(node, this.config.remove.media);
+
+    evaluateTypeRemoval = (node) => this.config.remove.types.includes(this.getActivityType(node));
+
+    evaluateTextRemoval = (node) =>
+        (node.classList.contains(selectors.ACTIVITY.TEXT) || node.classList.contains(selectors.ACTIVITY.MESSAGE))
+        && !(this.evaluateImageRemoval(node) || this.evaluateVideoRemoval(node));
+
+    evaluateVideoRemoval = (node) => node?.querySelector(selectors.CLASS.VIDEO)
+        || node?.querySelector(selectors.SPAN.YOUTUBE);
+
+    evaluateImageRemoval = (node) => node?.querySelector(selectors.CLASS.IMAGE);
+
+    evaluateUncommentedRemoval = (node) => {
+        const replies = this.getIndexedCount(node, 'replies');
+        return replies !== undefined ? replies === 0 : !node.querySelector(selectors.DIV.REPLIES)?.querySelector(selectors.SPAN.COUNT);
+    };
+
+    evaluateUnlikedRemoval = (node) => {
+        const likes = this.getIndexedCount(node, 'likes');
+        return likes !== undefined ? likes === 0 : !node.querySelector(selectors.DIV.LIKES)?.querySelector(selectors.SPAN.COUNT);
+    };
+
+    evaluateMinLikesRemoval = (node) =>
+        (this.getIndexedCount(node, 'likes') ?? this.getCount(node, selectors.DIV.LIKES)) < this.config.remove.minLikes;
+
+    evaluateMinRepliesRemoval = (node) =>
+        (this.getIndexedCount(node, 'replies') ?? this.getCount(node, selectors.DIV.REPLIES)) < this.config.remove.minReplies;
+
+    getIndexedCount = (node, key) => this.liveCounts ? undefined : this.getActivityData(node)?.[key];
+
+    getCount = (node, selector) => {
+        const text = node.querySelector(selector)?.querySelector(selectors.SPAN.COUNT)?.textContent ?? '';
+        const match = text.trim().toLowerCase().replace(/,/g, '').match(/^(\d+(?:\.\d+)?)([km]?)$/);
+
+        if (!match) {
+            return 0;
+        }
+
+        const multipliers = { '': 1, k: 1000, m: 1000000 };
+        return Math.round(parseFloat(match[1]) * multipliers[match[2]]);
+    };
+
+    getActivityAge = (node) => {
+        const createdAt = this.getActivityData(node)?.createdAt;
+        if (createdAt) {
+            return Date.now() - createdAt * 1000;
+        }
+
+        const time = node.querySelector(selectors.DIV.TIME);
+        const datetime = Date.parse(time?.querySelector(selectors.TIME.DATETIME)?.getAttribute('datetime'));
+
+        return Number.isNaN(datetime) ? this.parseRelativeAge(time?.textContent ?? '') : Date.now() - datetime;
+    };
+
+    TIME_UNITS = {
+        second: 1000,
+        minute: 60000,
+        hour: 3600000,
+        day: 86400000,
+        week: 604800000,
+        month: 2592000000,
+        year: 31536000000,
+    };
+
+    parseRelativeAge = (text) => {
+        const normalized = text.trim().toLowerCase();
+        const match = normalized.match(/^(a|an|\d+) (second|minute|hour|day|week|month|year)s? ago$/);
+
+        if (!match) {
+            return normalized === 'just now' ? 0 : null;
+        }
+
+        return (match[1].startsWith('a') ? 1 : Number(match[1])) * this.TIME_UNITS[match[2]];
+    };
+
+    resetLoadCount = () => {
+        this.currentLoadCount = 0;
+        this.scannedCount = 0;
+        this.oldestAge = 0;
+    };
+}
+
+class FilterExpression {
+    constructor(source) {
+        this.source = source;
+        this.tokens = this.tokenize(source);
+        this.index = 0;
+        this.ast = this.parseOr();
+        this.expect('end');
+    }
+
+    CONDITIONS = ['users', 'keepUsers', 'uncommented', 'unliked', 'text', 'images', 'videos', 'containsStrings', 'types',
+        'minLikes', 'minReplies', 'media'];
+
+    ALIASES = {
+        liked: 'unliked',
+        commented: 'uncommented',
+    };
+
+    FUNCTIONS = {
+        contains: (handler, node, args) => handler.matchesStrings(node, args),
+        type: (handler, node, args) => args.includes(handler.getActivityType(node)),
+        user: (handler, node, args) => handler.matchesUser(node, args),
+    };
+
+    KEYWORDS = ['AND', 'OR', 'NOT'];
+
+    evaluate = (node, handler, ast = this.ast) => {
+        switch (ast.type) {
+            case 'or':
+                return this.evaluate(node, handler, ast.left) || this.evaluate(node, handler, ast.right);
+            case 'and':
+                return this.evaluate(node, handler, ast.left) && this.evaluate(node, handler, ast.right);
+            case 'not':
+                return !this.evaluate(node, handler, ast.operand);
+            case 'call':
+                return this.FUNCTIONS[ast.name](handler, node, ast.args);
+            default:
+                return Boolean(handler.CONDITIONS_MAP.get(ast.name)(node, false));
+        }
+    };
+
+    tokenize = (source) => {
+        const tokens = [];
+        let i = 0;
+
+        while (i < source.length) {
+            const char = source[i];
+            const word = source.slice(i).match(/^[A-Za-z_]\w*/)?.[0];
+
+            if (/\s/.test(char)) {
+                i++;
+            } else if ('(),'.includes(char)) {
+                tokens.push({ type: char, value: char, position: i });
+                i++;
+            } else if (char === '"' || char === '\'') {
+                const { value, end } = this.readString(source, i);
+                tokens.push({ type: 'string', value, position: i });
+                i = end;
+            } else if (word) {
+                const keyword = this.KEYWORDS.find(k => k === word.toUpperCase());
+                tokens.push({ type: keyword ?? 'identifier', value: word, position: i });
+                i += word.length;
+            } else {
+                throw this.syntaxError(`Unexpected character '${char}'`, i);
+            }
+        }
+
+        tokens.push({ type: 'end', value: 'end of expression', position: source.length });
+        return tokens;
+    };
+
+    readString = (source, start) => {
+        const quote = source[start];
+        let value = '';
+
+        for (let i = start + 1; i < source.length; i++) {
+            if (source[i] === quote) {
+                return { value, end: i + 1 };
+            }
+
+            const isEscape = source[i] === '\\' && [quote, '\\'].includes(source[i + 1]);
+            value += isEscape ? source[++i] : source[i];
+        }
+
+        throw this.syntaxError('Unterminated string', start);
+    };
+
+    parseOr = () => {
+        let left = this.parseAnd();
+
+        while (this.peek().type === 'OR') {
+            this.next();
+            left = { type: 'or', left, right: this.parseAnd() };
+        }
+
+        return left;
+    };
+
+    parseAnd = () => {
+        let left = this.parseNot();
+
+        while (this.peek().type === 'AND') {
+            this.next();
+            left = { type: 'and', left, right: this.parseNot() };
+        }
+
+        return left;
+    };
+
+    parseNot = () => {
+        if (this.peek().type === 'NOT') {
+            this.next();
+            return { type: 'not', operand: this.parseNot() };
+        }
+
+        return this.parsePrimary();
+    };
+
+    parsePrimary = () => {
+        const token = this.next();
+
+        if (token.type === '(') {
+            const expression = this.parseOr();
+            this.expect(')');
+            return expression;
+        }
+
+        if (token.type !== 'identifier') {
+            const message = token.type === 'end' ? 'Unexpected end of expression' : `Unexpected '${token.value}'`;
+            throw this.syntaxError(message, token.position);
+        }
+
+        if (this.peek().type === '(') {
+            return this.parseCall(token);
+        }
+
+        const alias = Object.keys(this.ALIASES).find(name => name.toLowerCase() === token.value.toLowerCase());
+        if (alias) {
+            return { type: 'not', operand: { type: 'condition', name: this.ALIASES[alias] } };
+        }
+
+        const name = this.CONDITIONS.find(condition => condition.toLowerCase() === token.value.toLowerCase());
+        if (!name) {
+            throw this.syntaxError(`Unknown condition '${token.value}'`, token.position);
+        }
+
+        return { type: 'condition', name };
+    };
+
+    parseCall = (token) => {
+        const name = token.value.toLowerCase();
+
+        if (!(name in this.FUNCTIONS)) {
+            throw this.syntaxError(`Unknown function '${token.value}'`, token.position);
+        }
+
+        this.expect('(');
+        const args = [this.expect('string')];
+
+        while (this.peek().type === ',') {
+            this.next();
+            args.push(this.expect('string'));
+        }
+
+        this.expect(')');
+        args.forEach(arg => this.ARGUMENT_CHECKS[name]?.(arg));
+        return { type: 'call', name, args: args.map(arg => arg.value) };
+    };
+
+    ARGUMENT_CHECKS = {
+        contains: ({ value, position }) => {
+            try {
+                parsePattern(value);
+            } catch (error) {
+                throw this.syntaxError(error.message, position);
+            }
+        },
+        type: ({ value, position }) => {
+            if (!ACTIVITY_TYPES.includes(value)) {
+                const suggestion = suggestKey(value, ACTIVITY_TYPES);
+                const hint = suggestion ? `did you mean '${suggestion}'?` : `expected one of: ${ACTIVITY_TYPES.join(', ')}`;
+                throw this.syntaxError(`Unknown activity type '${value}', ${hint}`, position);
+            }
+        },
+    };
+
+    peek = () => this.tokens[this.index];
+
+    next = () => this.tokens[this.index++];
+
+    expect = (type) => {
+        const token = this.next();
+
+        if (token.type !== type) {
+            const expected = type === 'end' ? 'end of expression' : type === 'string' ? 'a quoted string' : `'${type}'`;
+            throw this.syntaxError(`Expected ${expected} but found '${token.value}'`, token.position);
+        }
+
+        return token;
+    };
+
+    syntaxError = (message, position) => new Error(`${message} at position ${position + 1}`);
+}
+
+class ActivityData {
+    constructor() {
+        this.activities = new Map();
+    }
+
+    ENDPOINT = 'graphql.anilist.co';
+
+    TYPES = {
+        TEXT: 'text',
+        MESSAGE: 'message',
+        ANIME_LIST: 'list',
+        MANGA_LIST: 'list',
+        MEDIA_LIST: 'list',
+    };
+
+    interceptFetch = (target) => {
+        const originalFetch = target.fetch;
+
+        target.fetch = (...args) => {
+            const response = originalFetch.apply(target, args);
+
+            if (this.isActivityRequest(...args)) {
+                response
+                    .then(result => result.clone().json())
+                    .then(this.index)
+                    .catch(error => console.error('Activity-Feed Filter: Could not read activity data', error));
+            }
+
+            return response;
+        };
+    }
+
+    isActivityRequest = (input, init) => {
+        const url = typeof input === 'string' ? input : input?.url ?? String(input);
+        const body = init?.body;
+
+        return url.includes(this.ENDPOINT) && (typeof body !== 'string' || /activit/i.test(body));
+    }
+
+    index = (value) => {
+        if (Array.isArray(value)) {
+            value.forEach(this.index);
+        } else if (isPlainObject(value)) {
+            if (Number.isInteger(value.id) && Object.hasOwn(this.TYPES, value.type)) {
+                this.store(value);
+            }
+
+            Object.values(value).forEach(this.index);
+        }
+    }
+
+    store = (activity) => {
+        const { id, type, user, messenger, status, media, likeCount, replyCount, createdAt } = activity;
+
+        const record = {
+            kind: this.TYPES[type],
+            user: (messenger ?? user)?.name?.toLowerCase(),
+            status: status?.toLowerCase(),
+            media: media && {
+                id: media.id,
+                type: media.type?.toLowerCase(),
+                title: media.title?.userPreferred ?? media.title?.romaji,
+            },
+            likes: likeCount,
+            replies: replyCount,
+            createdAt,
+        };
+
+        const known = Object.entries(record).filter(([, value]) => value !== undefined);
+        this.activities.set(id, { ...this.activities.get(id), ...Object.fromEntries(known) });
+    }
+
+    get = (id) => this.activities.get(id);
+}
+
+class SelectorDiagnostics {
+    constructor() {
+        this.loadMoreSeen = false;
+        this.reset();
+    }
+
+    PAGE_SIZE = 20;
+
+    ENTRY_CHECKS = ['DIV.LIKES', 'DIV.REPLIES', 'LINK.USER', 'LINK.ACTIVITY'];
+
+    LIST_CHECKS = ['DIV.STATUS', 'LINK.MEDIA'];
+
+    reset = () => {
+        this.entries = 0;
+        this.lists = 0;
+        this.found = new Set();
+    }
+
+    inspect = (node) => {
+        const isList = node.classList.contains(selectors.ACTIVITY.ANIME_LIST) || node.classList.contains(selectors.ACTIVITY.MANGA_LIST);
+
+        this.entries++;
+        this.lists += isList ? 1 : 0;
+
+        if (Object.values(selectors.ACTIVITY).some(name => node.classList.contains(name))) {
+            this.found.add('ACTIVITY');
+        }
+
+        [...this.ENTRY_CHECKS, ...(isList ? this.LIST_CHECKS : [])]
+            .filter(name => node.querySelector(this.resolve(name)))
+            .forEach(name => this.found.add(name));
+    }
+
+    inspectLoadMore = () => {
+        this.loadMoreSeen = true;
+    }
+
+    report = () => {
+        if (this.entries === 0) {
+            return [this.describe('DIV.ACTIVITY')];
+        }
+
+        const expected = ['ACTIVITY', ...this.ENTRY_CHECKS, ...(this.lists > 0 ? this.LIST_CHECKS : [])];
+        const broken = expected.filter(name => !this.found.has(name));
+
+        if (!this.loadMoreSeen && this.entries >= this.PAGE_SIZE && !document.querySelector(selectors.DIV.BUTTON)) {
+            broken.unshift('DIV.BUTTON');
+        }
+
+        return broken.map(this.describe);
+    }
+
+    resolve = (name) => name.split('.').reduce((group, key) => group[key], selectors);
+
+    describe = (name) => {
+        const selector = this.resolve(name);
+        return `${name} (${typeof selector === 'string' ? selector : Object.values(selector).join(', ')})`;
+    }
+}
+
+class LoadController {
+    constructor(uiHandler, shouldContinue, onComplete) {
+        this.ui = uiHandler;
+        this.shouldContinue = shouldContinue;
+        this.onComplete = onComplete;
+        this.state = 'idle';
+        this.timer = null;
+        this.delay = this.BASE_DELAY;
+        this.retries = 0;
+    }
+
+    BASE_DELAY = 250;
+
+    MAX_DELAY = 4000;
+
+    MAX_RETRIES = 4;
+
+    isLoading = () => this.state === 'loading';
+
+    start = () => {
+        if (this.state === 'idle') {
+            this.state = 'loading';
+            this.notify();
+        }
+    };
+
+    allowRestart = () => {
+        if (this.state === 'ended') {
+            this.state = 'idle';
+        }
+    };
+
+    notify = () => {
+        if (this.isLoading()) {
+            this.delay = this.BASE_DELAY;
+            this.retries = 0;
+            this.schedule(this.step, 0);
+        }
+    };
+
+    step = () => {
+        if (!this.shouldContinue()) {
+            this.finish('complete');
+            return;
+        }
+
+        this.ui.clickLoadMore(this.retries > 0);
+        this.ui.triggerScroll();
+        this.schedule(this.retry, this.delay);
+    };
+
+    retry = () => {
+        if (this.retries >= this.MAX_RETRIES) {
+            this.finish('end-of-feed');
+            return;
+        }
+
+        this.retries++;
+        this.delay = Math.min(this.delay * 2, this.MAX_DELAY);
+        this.step();
+    };
+
+    schedule = (callback, delay) => {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(callback, delay);
+    };
+
+    stop = () => {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.state = 'idle';
+    };
+
+    finish = (result) => {
+        this.stop();
+        this.state = result === 'end-of-feed' ? 'ended' : 'idle';
+        this.onComplete(result);
+    };
+}
+
+class UIHandler {
+    constructor() {
+        this.userPressed = true;
+        this.cancel = null;
+        this.loadMore = null;
+        this.warning = null;
+        this.configNotice = null;
+        this.banners = null;
+        this.stats = null;
+        this.loadClicks = 0;
+        this.onLoadMore = null;
+        this.toast = null;
+        this.toastTimer = null;
+    }
+
+    assignLoadMore = (button) => {
+        this.loadMore = button;
+        this.loadMore.addEventListener('click', this.handleLoadMoreClick);
+    };
+
+    handleLoadMoreClick = () => {
+        this.userPressed = true;
+        this.displayCancel();
+        this.onLoadMore?.();
+    };
+
+    clickLoadMore = (isRetry = false) => {
+        if (!this.loadMore) {
+            return null;
+        }
+
+        if (!isRetry && this.loadMore.isConnected) {
+            this.loadClicks++;
+            this.stats?.recordLoadMore();
+        }
+
+        return this.loadMore.click();
+    };
+
+    resetState = () => {
+        this.userPressed = false;
+        this.loadClicks = 0;
+        this.hideCancel();
+    };
+
+    cancelLoading = () => {
+        this.userPressed = false;
+
+        if (this.cancel) {
+            this.cancel.style.display = 'none';
+        }
+    };
+
+    showToast = (message) => {
+        const TOAST_STYLE = `
+            position: fixed;
+            bottom: 60px;
+            left: 50%;
+            transform: translateX(-50%);
+            z-index: 9999;
+            padding: 8px 15px;
+            border-radius: 4px;
+            background-color: rgb(var(--color-background-blue-dark));
+            color: rgb(var(--color-text-bright));
+            font-size: 1.3rem;
+            `;
+
+        clearTimeout(this.toastTimer);
+        this.toast?.remove();
+        this.toast = Object.assign(document.createElement('div'), { className: 'filter-toast', textContent: message, style: TOAST_STYLE });
+        document.body.appendChild(this.toast);
+        this.toastTimer = setTimeout(() => this.toast.remove(), this.TOAST_DURATION);
+    };
+
+    TOAST_DURATION = 2000;
+
+    showProgress = (loaded, target) => {
+        if (this.cancel) {
+            this.cancel.textContent = `Cancel (Loading… ${loaded}/${target})`;
+        }
+    };
+
+    resetRoute = () => {
+        this.resetState();
+        this.loadMore = null;
+    };
+
+    displayCancel = () => {
+        this.cancel ? this.cancel.style.display = 'block' : this.createCancel();
+    }
+
+    hideCancel = () => {
+        if (this.cancel) {
+            this.cancel.style.display = 'none';
+            this.cancel.textContent = 'Cancel';
+        }
+    };
+
+    triggerScroll = () => window.dispatchEvent(new Event('scroll', { bubbles: true }));
+
+    showWarning = (broken) => {
+        this.warning?.remove();
+        this.warning = this.showBanner('filter-warning', `Activity-Feed Filter: AniList's page no longer matches these selectors: ${broken.join(', ')}. `
+            + 'Filtering may not work until the script is updated or options.selectors overrides them. (click to dismiss)');
+    };
+
+    showConfigNotice = (problems) => {
+        this.configNotice?.remove();
+        this.configNotice = this.showBanner('filter-config-notice', `Activity-Feed Filter found problems in your settings: ${problems.join(', ')}. `
+            + 'Open "Filter Settings" above the feed to fix them. (click to dismiss)');
+    };
+
+    showBanner = (className, textContent) => {
+        const BANNERS_STYLE = `
+            position: fixed;
+            top: 70px;
+            left: 50%;
+            transform: translateX(-50%);
+            z-index: 9999;
+            display: flex;
+            flex-direction: column;
+            gap: 5px;
+            max-width: 600px;
+            `;
+
+        const BANNER_STYLE = `
+            padding: 10px 15px;
+            border-radius: 4px;
+            background-color: rgb(var(--color-red));
+            color: rgb(var(--color-white));
+            font-size: 1.3rem;
+            cursor: pointer;
+            `;
+
+        if (!this.banners?.isConnected) {
+            this.banners = Object.assign(document.createElement('div'), { className: 'filter-banners', style: BANNERS_STYLE });
+            document.body.appendChild(this.banners);
+        }
+
+        const banner = Object.assign(document.createElement('div'), { className, textContent, style: BANNER_STYLE, onclick: () => banner.remove() });
+
+        console.warn(textContent);
+        this.banners.appendChild(banner);
+        return banner;
+    };
+
+    createCancel = () => {
+        const BUTTON_STYLE = `
+            position: fixed;
+            bottom: 10px;
+            right: 10px;
+            z-index: 9999;
+            line-height: 1.3;
+            background-color: rgb(var(--color-background-blue-dark));
+            color: rgb(var(--color-text-bright));
+            font: 1.6rem 'Roboto', -apple-system, BlinkMacSystemFont, 'Segoe UI', Oxygen, Ubuntu, Cantarell, 'Fira Sans', 'Droid Sans', 'Helvetica Neue', sans-serif;
+            -webkit-font-smoothing: antialiased;
+            box-sizing: border-box;
+            --button-color: rgb(var(--color-blue));
+            `;
+
+        this.cancel = Object.assign(document.createElement('button'), {
+            textContent: 'Cancel',
+            className: 'cancel-button',
+            style: BUTTON_STYLE,
+            onclick: this.cancelLoading,
+        });
+
+        document.body.appendChild(this.cancel);
+    };
+}
+
+class SettingsPanel {
+    constructor(config, onSave, defaults = null) {
+        this.config = config;
+        this.onSave = onSave;
+        this.defaults = defaults;
+        this.button = null;
+        this.panel = null;
+        this.fields = new Map();
+        this.pendingImport = null;
+    }
+
+    SECTIONS = ['remove', 'keep', 'options', 'runOn'];
+
+    EXPORT_FILENAME = 'activity-feed-filter.json';
+
+    CHOICES = {
+        'options.removalMode': ['remove', 'hide', 'collapse'],
+    };
+
+    injectButton = (feed) => {
+        if (this.button?.isConnected || !feed?.parentElement) {
+            return;
+        }
+
+        this.button = Object.assign(document.createElement('button'), {
+            textContent: 'Filter Settings',
+            className: 'settings-button',
+            style: 'margin-bottom: 10px; cursor: pointer;',
+            onclick: () => this.toggle(),
+        });
+
+        feed.parentElement.insertBefore(this.button, feed);
+    };
+
+    toggle = () => this.panel?.isConnected ? this.close() : this.open();
+
+    open = () => {
+        this.close();
+        this.panel = this.createPanel();
+        document.body.appendChild(this.panel);
+    };
+
+    close = () => {
+        this.panel?.remove();
+        this.fields.clear();
+        this.pendingImport = null;
+    };
+
+    createPanel = () => {
+        const PANEL_STYLE = `
+            position: fixed;
+            top: 60px;
+            right: 10px;
+            z-index: 9999;
+            max-height: 80vh;
+            overflow-y: auto;
+            padding: 15px;
+            border-radius: 4px;
+            background-color: rgb(var(--color-foreground));
+            color: rgb(var(--color-text));
+            font: 1.3rem 'Roboto', -apple-system, BlinkMacSystemFont, 'Segoe UI', Oxygen, Ubuntu, Cantarell, 'Fira Sans', 'Droid Sans', 'Helvetica Neue', sans-serif;
+            box-shadow: 0 14px 30px rgba(var(--color-shadow-dark), .15);
+            `;
+
+        const panel = Object.assign(document.createElement('div'), { className: 'settings-panel', style: PANEL_STYLE });
+
+        this.SECTIONS.forEach(section => {
+            const fieldset = document.createElement('fieldset');
+            fieldset.appendChild(Object.assign(document.createElement('legend'), { textContent: section }));
+            Object.entries(this.config[section])
+                .forEach(([key, value]) => fieldset.appendChild(this.createField(`${section}.${key}`, value)));
+            panel.appendChild(fieldset);
+        });
+
+        panel.appendChild(this.createTransfer());
+
+        this.errorList = Object.assign(document.createElement('div'), { className: 'settings-errors', style: 'color: rgb(var(--color-red));' });
+        panel.appendChild(this.errorList);
+
+        [['Save', this.save], ['Cancel', this.close]].forEach(([textContent, onclick]) =>
+            panel.appendChild(Object.assign(document.createElement('button'), { textContent, onclick })));
+
+        return panel;
+    };
+
+    createTransfer = () => {
+        const fieldset = document.createElement('fieldset');
+        fieldset.appendChild(Object.assign(document.createElement('legend'), { textContent: 'import / export' }));
+
+        this.importInput = Object.assign(document.createElement('textarea'), {
+            className: 'settings-import',
+            placeholder: 'Paste an exported config here',
+            oninput: () => this.setPendingImport(null),
+        });
+        const fileInput = Object.assign(document.createElement('input'), {
+            type: 'file',
+            accept: '.json,application/json',
+            onchange: () => fileInput.files[0]?.text().then(text => {
+                this.importInput.value = text;
+                this.previewImport();
+            }),
+        });
+        this.importStatus = Object.assign(document.createElement('div'), { className: 'settings-import-status' });
+        this.importErrors = Object.assign(document.createElement('div'), { className: 'settings-import-errors', style: 'color: rgb(var(--color-red));' });
+        this.importDiff = Object.assign(document.createElement('ul'), { className: 'settings-import-diff' });
+
+        const buttons = [['Export File', this.exportFile], ['Copy to Clipboard', this.copyConfig], ['Preview Import', this.previewImport], ['Apply Import', this.applyImport]]
+            .map(([textContent, onclick]) => Object.assign(document.createElement('button'), { textContent, onclick }));
+        this.applyImportButton = buttons[3];
+        this.applyImportButton.disabled = true;
+
+        fieldset.append(this.importInput, fileInput, ...buttons, this.importStatus, this.importErrors, this.importDiff);
+        return fieldset;
+    };
+
+    exportFile = () => {
+        const blob = new Blob([new ConfigTransfer(this.config, this.defaults).exportConfig()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        Object.assign(document.createElement('a'), { href: url, download: this.EXPORT_FILENAME }).click();
+        URL.revokeObjectURL(url);
+    };
+
+    copyConfig = () => navigator.clipboard.writeText(new ConfigTransfer(this.config, this.defaults).exportConfig())
+        .then(() => this.importStatus.textContent = 'Config copied to the clipboard')
+        .catch(error => this.importStatus.textContent = `Failed to copy config: ${error.message}`);
+
+    previewImport = () => {
+        const transfer = new ConfigTransfer(this.config, this.defaults);
+        const imported = transfer.importConfig(this.importInput.value);
+        const lines = imported
+            ? [...transfer.migrations.map(migration => `Migrated ${migration}`), ...(imported.changes.length > 0 ? imported.changes : ['No changes'])]
+            : [];
+
+        this.setPendingImport(imported?.config ?? null);
+        this.importErrors.textContent = transfer.errors.join(', ');
+        this.importDiff.replaceChildren(...lines.map(textContent => Object.assign(document.createElement('li'), { textContent })));
+        return Boolean(imported);
+    };
+
+    applyImport = () => {
+        if (!this.pendingImport) {
+            return false;
+        }
+
+        this.config = this.pendingImport;
+        this.onSave(this.pendingImport);
+        this.close();
+        return true;
+    };
+
+    setPendingImport = (config) => {
+        this.pendingImport = config;
+        this.applyImportButton.disabled = !config;
+        this.importStatus.textContent = '';
+    };
+
+    createField = (path, value) => {
+        const choices = this.CHOICES[path];
+        const type = Array.isArray(value) || typeof value === 'object' ? 'json' : typeof value;
+        const wrapper = Object.assign(document.createElement('div'), { className: 'settings-field' });
+        const label = Object.assign(document.createElement('label'), { textContent: path.split('.')[1] });
+        const input = document.createElement(choices ? 'select' : type === 'json' ? 'textarea' : 'input');
+        const error = Object.assign(document.createElement('div'), { className: 'settings-field-error', style: 'color: rgb(var(--color-red));' });
+
+        if (type === 'boolean') {
+            Object.assign(input, { type: 'checkbox', checked: value });
+        } else if (type === 'number') {
+            Object.assign(input, { type: 'number', value });
+        } else if (choices) {
+            choices.forEach(choice => input.appendChild(Object.assign(document.createElement('option'), { value: choice, textContent: choice })));
+            input.value = value;
+        } else {
+            Object.assign(input, { value: type === 'json' ? JSON.stringify(value) : value });
+        }
+
+        input.name = path;
+        label.appendChild(input);
+        wrapper.append(label, error);
+        this.fields.set(path, { input, error, type });
+
+        return wrapper;
+    };
+
+    readField = ({ input, type }) => {
+        switch (type) {
+            case 'boolean':
+                return input.checked;
+            case 'number':
+                return Number(input.value);
+            case 'json':
+                return JSON.parse(input.value);
+            default:
+                return input.value;
+        }
+    };
+
+    save = () => {
+        const candidate = JSON.parse(JSON.stringify(this.config));
+        const errors = [];
+
+        this.fields.forEach((field, path) => {
+            const [section, key] = path.split('.');
+            try {
+                candidate[section][key] = this.readField(field);
+            } catch {
+                errors.push(`${path} should be valid JSON`);
+            }
+        });
+
+        if (errors.length === 0) {
+            const validator = new ConfigValidator(candidate);
+            try {
+                validator.validate(this.defaults);
+            } catch {
+                errors.push(...validator.errors);
+            }
+        }
+
+        if (errors.length > 0) {
+            this.showErrors(errors);
+            return false;
+        }
+
+        this.config = candidate;
+        this.onSave(candidate);
+        this.close();
+        return true;
+    };
+
+    showErrors = (errors) => {
+        this.fields.forEach(({ error }) => error.textContent = '');
+        this.errorList.textContent = '';
+
+        errors.forEach(message => {
+            const path = [...this.fields.keys()].find(key => [' ', '.', '['].some(separator => message.startsWith(`${key}${separator}`)));
+            const target = path ? this.fields.get(path).error : this.errorList;
+            target.textContent = target.textContent ? `${target.textContent}, ${message}` : message;
+        });
+    };
+}
+
+class FilterStats {
+    constructor(key = 'activityFeedFilter.stats') {
+        this.key = key;
+        this.session = this.createTotals();
+        this.allTime = deepMerge(this.createTotals(), this.read() ?? {});
+        this.saveTimer = null;
+    }
+
+    SAVE_DELAY = 2000;
+
+    createTotals = () => ({ seen: 0, removed: 0, kept: 0, loadMoreClicks: 0, feeds: {}, conditions: {} });
+
+    record = (verdict, feed, reasons) => {
+        [this.session, this.allTime].forEach(totals => {
+            const feedTotals = totals.feeds[feed ?? 'unknown'] ??= { seen: 0, removed: 0, kept: 0 };
+
+            totals.seen++;
+            totals[verdict]++;
+            feedTotals.seen++;
+            feedTotals[verdict]++;
+            reasons.forEach(reason => totals.conditions[reason] = (totals.conditions[reason] ?? 0) + 1);
+        });
+
+        this.scheduleSave();
+    };
+
+    recordLoadMore = () => {
+        this.session.loadMoreClicks++;
+        this.allTime.loadMoreClicks++;
+        this.scheduleSave();
+    };
+
+    reset = () => {
+        this.session = this.createTotals();
+        this.allTime = this.createTotals();
+        this.save();
+    };
+
+    hasGmStorage = () => typeof GM_getValue === 'function' && typeof GM_setValue === 'function';
+
+    scheduleSave = () => {
+        if (this.saveTimer === null) {
+            this.saveTimer = setTimeout(this.save, this.SAVE_DELAY);
+        }
+    };
+
+    flush = () => {
+        if (this.saveTimer !== null) {
+            this.save();
+        }
+    };
+
+    save = () => {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        const value = JSON.stringify(this.allTime);
+        this.hasGmStorage() ? GM_setValue(this.key, value) : localStorage.setItem(this.key, value);
+    };
+
+    read = () => {
+        try {
+            const value = (this.hasGmStorage() ? GM_getValue(this.key, null) : null) ?? localStorage.getItem(this.key);
+            return value ? JSON.parse(value) : null;
+        } catch (error) {
+            console.error(`Failed to load saved statistics, starting from zero: ${error.message}`);
+            return null;
+        }
+    };
+}
+
+class StatsPanel {
+    constructor(stats) {
+        this.stats = stats;
+        this.button = null;
+        this.panel = null;
+    }
+
+    injectButton = (feed) => {
+        if (this.button?.isConnected || !feed?.parentElement) {
+            return;
+        }
+
+        this.button = Object.assign(document.createElement('button'), {
+            textContent: 'Filter Stats',
+            className: 'stats-button',
+            style: 'margin: 0 0 10px 10px; cursor: pointer;',
+            onclick: () => this.toggle(),
+        });
+
+        feed.parentElement.insertBefore(this.button, feed);
+    };
+
+    toggle = () => this.panel?.isConnected ? this.close() : this.open();
+
+    open = () => {
+        this.close();
+        this.panel = this.createPanel();
+        document.body.appendChild(this.panel);
+    };
+
+    close = () => this.panel?.remove();
+
+    reset = () => {
+        this.stats.reset();
+        this.open();
+    };
+
+    getRows = () => {
+        const { session, allTime } = this.stats;
+        const feeds = [...new Set([...Object.keys(allTime.feeds), ...Object.keys(session.feeds)])];
+        const conditions = Object.keys(allTime.conditions).sort((a, b) => allTime.conditions[b] - allTime.conditions[a]);
+
+        return [
+            ['Seen', totals => totals.seen],
+            ['Removed', totals => totals.removed],
+            ['Kept', totals => totals.kept],
+            ['Load More clicks', totals => totals.loadMoreClicks],
+            ...feeds.map(feed => [`${feed}: removed / seen`, totals => `${totals.feeds[feed]?.removed ?? 0} / ${totals.feeds[feed]?.seen ?? 0}`]),
+            ...conditions.map(condition => [`Removed by ${condition}`, totals => totals.conditions[condition] ?? 0]),
+        ].map(([label, read]) => [label, read(session), read(allTime)]);
+    };
+
+    createPanel = () => {
+        const PANEL_STYLE = `
+            position: fixed;
+            top: 60px;
+            right: 10px;
+            z-index: 9999;
+            max-height: 80vh;
+            overflow-y: auto;
+            padding: 15px;
+            border-radius: 4px;
+            background-color: rgb(var(--color-foreground));
+            color: rgb(var(--color-text));
+            font: 1.3rem 'Roboto', -apple-system, BlinkMacSystemFont, 'Segoe UI', Oxygen, Ubuntu, Cantarell, 'Fira Sans', 'Droid Sans', 'Helvetica Neue', sans-serif;
+            box-shadow: 0 14px 30px rgba(var(--color-shadow-dark), .15);
+            `;
+
+        const panel = Object.assign(document.createElement('div'), { className: 'stats-panel', style: PANEL_STYLE });
+        const table = document.createElement('table');
+
+        [['', 'Session', 'All time'], ...this.getRows()].forEach((cells, i) => {
+            const row = table.insertRow();
+            cells.forEach(cell => row.appendChild(Object.assign(document.createElement(i === 0 ? 'th' : 'td'), { textContent: cell })));
+        });
+
+        panel.appendChild(table);
+        [['Reset', this.reset], ['Close', this.close]].forEach(([textContent, onclick]) =>
+            panel.appendChild(Object.assign(document.createElement('button'), { textContent, onclick })));
+
+        return panel;
+    };
+}
+
+class QuickFilterBar {
+    constructor(activityHandler, onToggle) {
+        this.ac = activityHandler;
+        this.onToggle = onToggle;
+        this.toolbar = null;
+        this.chips = new Map();
+    }
+
+    CHIPS = [
+        ['images', 'Images'],
+        ['videos', 'Videos'],
+        ['text', 'Text'],
+        ['uncommented', 'Uncommented'],
+        ['unliked', 'Unliked'],
+        ['containsStrings', 'Strings'],
+        ['reverse', 'Reverse'],
+    ];
+
+    inject = (feed) => {
+        if (this.toolbar?.isConnected || !feed?.parentElement) {
+            return;
+        }
+
+        this.toolbar = Object.assign(document.createElement('div'), {
+            className: 'filter-toolbar',
+            style: 'display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 10px;',
+        });
+
+        this.CHIPS.forEach(([name, label]) => {
+            const chip = Object.assign(document.createElement('button'), {
+                className: 'filter-chip',
+                textContent: label,
+                onclick: () => this.onToggle(name),
+            });
+
+            this.chips.set(name, chip);
+            this.toolbar.appendChild(chip);
+        });
+
+        feed.parentElement.insertBefore(this.toolbar, feed);
+        this.update();
+    };
+
+    update = () => {
+        this.chips.forEach((chip, name) => {
+            const active = this.isActive(name);
+
+            chip.disabled = name === 'containsStrings' && this.ac.config.remove.containsStrings.flat().length === 0;
+            chip.setAttribute('aria-pressed', String(active));
+            chip.style.cssText = `
+                padding: 3px 10px;
+                border: none;
+                border-radius: 12px;
+                background-color: ${active ? 'rgb(var(--color-blue))' : 'rgb(var(--color-foreground))'};
+                color: ${active ? 'rgb(var(--color-white))' : 'rgb(var(--color-text))'};
+                opacity: ${chip.disabled ? 0.5 : 1};
+                cursor: ${chip.disabled ? 'default' : 'pointer'};
+                `;
+        });
+    };
+
+    isActive = (name) => name === 'reverse'
+        ? Boolean(this.ac.config.options.reverseConditions)
+        : this.ac.isConditionEnabled(name);
+}
+
+class FilterSubscriptions {
+    constructor(subscriptions = []) {
+        this.rules = [];
+        this.problems = [];
+        this.validator = new ConfigValidator({});
+        subscriptions.filter(subscription => subscription.enabled !== false).forEach(this.parse);
+    }
+
+    RULE_TYPES = {
+        contains: { section: 'remove', key: 'containsStrings' },
+        user: { section: 'remove', key: 'users' },
+        'keep-user': { section: 'keep', key: 'users' },
+        media: { section: 'remove', key: 'media' },
+    };
+
+    parse = ({ name, source, disabled = [] }) => {
+        const isJson = isPlainObject(source) || source.trim().startsWith('{');
+        const entries = isJson ? this.readJson(name, source) : this.readText(name, source);
+
+        entries
+            .map(entry => ({ ...entry, id: `${entry.type}: ${typeof entry.value === 'string' ? entry.value : JSON.stringify(entry.value)}` }))
+            .filter(entry => this.isValid(entry) && !disabled.includes(entry.id))
+            .forEach(entry => this.rules.push(entry));
+    };
+
+    readText = (name, source) => source.split('\n').flatMap((line, i) => {
+        const text = line.trim();
+        const path = `${name} line ${i + 1}`;
+
+        if (text === '' || text.startsWith('!') || text.startsWith('#')) {
+            return [];
+        }
+
+        const [, type, raw] = text.match(/^([\w-]+)\s*:\s*(.+)$/) ?? [];
+
+        if (!type) {
+            this.problems.push(`${path} should be a 'type: value' rule`);
+            return [];
+        }
+
+        if (!(type.toLowerCase() in this.RULE_TYPES)) {
+            this.problems.push(`${path} has an unknown rule type '${type}', use ${Object.keys(this.RULE_TYPES).join(', ')}`);
+            return [];
+        }
+
+        try {
+            const value = raw.startsWith('{') ? JSON.parse(raw) : type.toLowerCase() === 'media' && /^\d+$/.test(raw) ? Number(raw) : raw;
+            return [{ path, type: type.toLowerCase(), value }];
+        } catch (error) {
+            this.problems.push(`${path} should be valid JSON: ${error.message}`);
+            return [];
+        }
+    });
+
+    readJson = (name, source) => {
+        let list = source;
+
+        if (typeof source === 'string') {
+            try {
+                list = JSON.parse(source);
+            } catch (error) {
+                this.problems.push(`${name} should be valid JSON: ${error.message}`);
+                return [];
+            }
+        }
+
+        return Object.entries(this.RULE_TYPES).flatMap(([type, { section, key }]) => {
+            const values = list[section]?.[key] ?? [];
+
+            if (!Array.isArray(values)) {
+                this.problems.push(`${name} ${section}.${key} should be an array`);
+                return [];
+            }
+
+            return values.map((value, i) => ({ path: `${name} ${section}.${key}[${i}]`, type, value }));
+        });
+    };
+
+    isValid = ({ path, type, value }) => {
+        this.validator.clearErrors();
+
+        if (type === 'media') {
+            this.validator.validateMediaRule(path, value);
+        } else if (type === 'contains') {
+            Array.isArray(value)
+                ? value.forEach((inner, i) => this.validator.validatePattern(`${path}[${i}]`, inner))
+                : this.validator.validatePattern(path, value);
+        } else if (typeof value !== 'string' || value.trim() === '') {
+            this.validator.addError(path, 'should be a username');
+        }
+
+        this.problems.push(...this.validator.errors);
+        return this.validator.errors.length === 0;
+    };
+
+    apply = (config) => {
+        if (this.rules.length === 0) {
+            return config;
+        }
+
+        const merged = JSON.parse(JSON.stringify(config));
+        this.rules.forEach(({ type, value }) => {
+            const { section, key } = this.RULE_TYPES[type];
+            const values = merged[section][key];
+
+            if (!values.some(existing => JSON.stringify(existing) === JSON.stringify(value))) {
+                values.push(value);
+            }
+        });
+
+        return merged;
+    };
+}
+
+class ConfigStorage {
+    constructor(defaults, key = 'activityFeedFilter.config') {
+        this.defaults = defaults;
+        this.key = key;
+        this.migrations = [];
+    }
+
+    hasGmStorage = () => typeof GM_getValue === 'function' && typeof GM_setValue === 'function';
+
+    load = () => {
+        const defaults = JSON.parse(JSON.stringify(this.defaults));
+        const saved = this.read();
+
+        if (!saved) {
+            return defaults;
+        }
+
+        const migrator = new ConfigMigrator();
+        const migrated = migrator.migrate(saved);
+        this.migrations = migrator.applied;
+
+        if (this.migrations.length > 0) {
+            this.save(migrated);
+        }
+
+        return deepMerge(defaults, migrated);
+    };
+
+    save = (config) => {
+        const value = JSON.stringify({ ...config, version: CONFIG_VERSION });
+        this.hasGmStorage() ? GM_setValue(this.key, value) : localStorage.setItem(this.key, value);
+    };
+
+    read = () => {
+        try {
+            const value = (this.hasGmStorage() ? GM_getValue(this.key, null) : null) ?? localStorage.getItem(this.key);
+            const saved = value ? JSON.parse(value) : null;
+
+            if (saved !== null && !isPlainObject(saved)) {
+                throw new Error(`expected an object but found ${JSON.stringify(saved)}`);
+            }
+
+            return saved;
+        } catch (error) {
+            console.error(`Failed to load saved config, using defaults: ${error.message}`);
+            return null;
+        }
+    };
+}
+
+class ConfigMigrator {
+    constructor() {
+        this.applied = [];
+    }
+
+    FLAT_KEYS = {
+        remove: ['uncommented', 'unliked', 'text', 'images', 'videos', 'containsStrings'],
+        options: ['targetLoadCount', 'caseSensitive', 'reverseConditions', 'linkedConditions'],
+        runOn: ['home', 'social', 'profile', 'guestHome'],
+    };
+
+    MIGRATIONS = [
+        {
+            version: 2,
+            description: 'moved flat pre-1.8 keys into remove, options and runOn',
+            migrate: (config) => {
+                Object.entries(this.FLAT_KEYS).forEach(([section, keys]) => keys
+                    .filter(key => key in config)
+                    .forEach(key => {
+                        config[section] = { ...config[section], [key]: config[key] };
+                        delete config[key];
+                    }));
+                return config;
+            },
+        },
+    ];
+
+    detectVersion = (config) => config.version
+        ?? (Object.values(this.FLAT_KEYS).flat().some(key => key in config) ? 1 : CONFIG_VERSION);
+
+    migrate = (config) => {
+        const version = this.detectVersion(config);
+
+        if (version >= CONFIG_VERSION) {
+            return config;
+        }
+
+        const migrated = this.MIGRATIONS
+            .filter(migration => migration.version > version)
+            .reduce((current, migration) => {
+                this.applied.push(`${migration.version - 1} -> ${migration.version}: ${migration.description}`);
+                return migration.migrate(current);
+            }, JSON.parse(JSON.stringify(config)));
+
+        migrated.version = CONFIG_VERSION;
+        return migrated;
+    };
+}
+
+class ConfigTransfer {
+    constructor(current, defaults = null) {
+        this.current = current;
+        this.defaults = defaults;
+        this.migrations = [];
+        this.errors = [];
+    }
+
+    SECTIONS = ['remove', 'keep', 'options', 'runOn'];
+
+    exportConfig = () => JSON.stringify({ ...this.current, version: CONFIG_VERSION }, null, 2);
+
+    importConfig = (text) => {
+        let imported;
+        try {
+            imported = JSON.parse(text);
+        } catch (error) {
+            this.errors = [`Import should be valid JSON: ${error.message}`];
+            return null;
+        }
+
+        if (!isPlainObject(imported)) {
+            this.errors = ['Import should be a JSON object'];
+            return null;
+        }
+
+        const migrator = new ConfigMigrator();
+        const migrated = migrator.migrate(imported);
+        this.migrations = migrator.applied;
+        this.errors = this.SECTIONS
+            .filter(section => section in migrated && !isPlainObject(migrated[section]))
+            .map(section => `${section} should be an object`);
+
+        if (this.errors.length > 0) {
+            return null;
+        }
+
+        const candidate = deepMerge(JSON.parse(JSON.stringify(this.current)), migrated);
+        const validator = new ConfigValidator(candidate);
+        try {
+            validator.validate(this.defaults);
+        } catch {
+            this.errors = validator.errors;
+            return null;
+        }
+
+        return { config: candidate, changes: this.diff(this.current, candidate) };
+    };
+
+    diff = (before, after, path = '') => Object.keys({ ...before, ...after })
+        .filter(key => path || key !== 'version')
+        .flatMap(key => {
+            const keyPath = path ? `${path}.${key}` : key;
+            const [from, to] = [before?.[key], after?.[key]];
+
+            if (isPlainObject(from) && isPlainObject(to)) {
+                return this.diff(from, to, keyPath);
+            }
+
+            return JSON.stringify(from) === JSON.stringify(to)
+                ? []
+                : [`${keyPath}: ${JSON.stringify(from) ?? 'unset'} -> ${JSON.stringify(to) ?? 'unset'}`];
+        });
+}
+
+class ConfigValidator {
+    constructor(config, migrations = []) {
+        this.config = config;
+        this.migrations = migrations;
+        this.errors = [];
+        this.issues = [];
+        this.notices = [];
+    }
+
+    MAX_REPAIR_PASSES = 3;
+
+    PROFILE_SECTIONS = ['remove', 'keep', 'options'];
+
+    DROPPED = Symbol('dropped');
+
+    validate(defaults = null) {
+        if (defaults) {
+            this.findUnknownKeys(defaults).forEach(({ path, message }) => this.addError(path, message));
+        }
+
+        this.runChecks();
+
+        if (this.errors.length > 0) {
+            throw new Error(`Script disabled due to configuration errors: ${this.errors.join(', ')}`);
+        }
+
+        this.logMigrations();
+    }
+
+    repair(defaults) {
+        this.repairSections(defaults);
+        this.runChecks();
+
+        for (let pass = 1; this.errors.length > 0; pass++) {
+            if (pass > this.MAX_REPAIR_PASSES || this.issues.some(({ path }) => path === 'version')) {
+                throw new Error(`Script disabled due to configuration errors: ${this.errors.join(', ')}`);
+            }
+
+            const dropped = new Set();
+            this.issues.forEach(({ path, message }) => this.notices.push(`${path} ${message} (${this.fallBack(path, defaults, dropped)})`));
+            dropped.forEach(entries => entries.splice(0, entries.length, ...entries.filter(entry => entry !== this.DROPPED)));
+
+            this.clearErrors();
+            this.runChecks();
+        }
+
+        this.logMigrations();
+        return this.notices;
+    }
+
+    repairSections(defaults) {
+        Object.entries(defaults)
+            .filter(([section]) => !isPlainObject(this.config[section]))
+            .forEach(([section, values]) => {
+                this.notices.push(`${section} should be an object (using the defaults)`);
+                this.config[section] = JSON.parse(JSON.stringify(values));
+            });
+
+        this.findUnknownKeys(defaults).forEach(({ owner, key, path, message }) => {
+            this.notices.push(`${path} ${message} (ignored)`);
+            delete owner[key];
+        });
+    }
+
+    findUnknownKeys(defaults) {
+        const knownKeys = Object.entries(defaults).flatMap(([section, values]) => Object.keys(values).map(key => `${section}.${key}`));
+        const profiles = isPlainObject(this.config.runOn) ? Object.entries(this.config.runOn) : [];
+
+        const describe = (owner, key, path, candidates, prefix = '') => {
+            const suggestion = suggestKey(path, candidates);
+            return { owner, key, path: `${prefix}${path}`, message: `is not a known option${suggestion ? `, did you mean '${prefix}${suggestion}'?` : ''}` };
+        };
+        const findInSection = (values, section, prefix) => Object.keys(values)
+            .filter(key => !(key in defaults[section]))
+            .map(key => describe(values, key, `${section}.${key}`, knownKeys, prefix));
+
+        return [
+            ...Object.keys(this.config)
+                .filter(section => section !== 'version' && !(section in defaults))
+                .map(section => describe(this.config, section, section, [...Object.keys(defaults), ...knownKeys])),
+            ...Object.keys(defaults)
+                .filter(section => isPlainObject(this.config[section]))
+                .flatMap(section => findInSection(this.config[section], section)),
+            ...profiles
+                .filter(([, profile]) => isPlainObject(profile))
+                .flatMap(([location, profile]) => Object.keys(profile)
+                    .filter(section => !this.PROFILE_SECTIONS.includes(section))
+                    .map(section => describe(profile, section, section, this.PROFILE_SECTIONS, `runOn.${location}.`))),
+            ...profiles
+                .filter(([, profile]) => isPlainObject(profile))
+                .flatMap(([location, profile]) => Object.entries(profile)
+                    .filter(([section, values]) => this.PROFILE_SECTIONS.includes(section) && isPlainObject(values) && isPlainObject(defaults[section]))
+                    .flatMap(([section, values]) => findInSection(values, section, `runOn.${location}.`))),
+        ];
+    }
+
+    fallBack(path, defaults, dropped) {
+        const keys = path.match(/[^.[\]]+/g);
+        let parent = this.config;
+        let fallback = defaults;
+
+        for (const [i, key] of keys.entries()) {
+            if (Array.isArray(parent)) {
+                parent[key] = this.DROPPED;
+                dropped.add(parent);
+                return 'ignored';
+            }
+
+            const value = parent[key];
+            if (i === keys.length - 1 || !(isPlainObject(value) || Array.isArray(value))) {
+                if (isPlainObject(fallback) && key in fallback) {
+                    parent[key] = JSON.parse(JSON.stringify(fallback[key]));
+                    return `using the default ${JSON.stringify(fallback[key])}`;
+                }
+
+                delete parent[key];
+                return 'ignored';
+            }
+
+            parent = value;
+            fallback = isPlainObject(fallback) ? fallback[key] : undefined;
+        }
+    }
+
+    runChecks() {
+        this.validateVersion('version');
+        this.validatePositiveNonZeroInteger('options.targetLoadCount', 'options.targetLoadCount');
+        this.validateNonNegativeIntegers(['remove.minLikes', 'remove.minReplies', 'options.maxAgeHours',
+            'options.maxLoadClicks', 'options.maxScanned']);
+        this.validateLinkedConditions('options.linkedConditions');
+        this.validateFilterExpression('options.filterExpression');
+        this.validateAllowedValue('options.removalMode', ['remove', 'hide', 'collapse']);
+        this.validateStringArrays(['remove.users', 'keep.users']);
+        this.validatePatternArrays(['remove.containsStrings']);
+        this.validateMediaRules('remove.media');
+        this.validateAllowedStrings('remove.types', ACTIVITY_TYPES);
+        this.validateBooleans(['remove.uncommented', 'remove.unliked', 'remove.text', 'remove.images',
+            'remove.videos', 'options.caseSensitive', 'options.reverseConditions', 'options.debug', 'options.useApiData']);
+        this.validateSelectorOverrides('options.selectors');
+        this.validateHotkeys('options.hotkeys', ['pause', 'reverse', 'cancel', 'settings']);
+        this.validateSubscriptions('options.subscriptions');
+        this.validateProfiles(['runOn.home', 'runOn.social', 'runOn.profile', 'runOn.guestHome']);
+    }
+
+    logMigrations() {
+        if (this.migrations.length > 0) {
+            console.info(`Config migrated to version ${CONFIG_VERSION}: ${this.migrations.join(', ')}`);
+        }
+    }
+
+    validateVersion(key) {
+        const value = this.config[key];
+
+        if (value === undefined) {
+            return;
+        }
+
+        if (!Number.isInteger(value) || value < 1) {
+            this.addError(key, 'should be a positive integer');
+        } else if (value > CONFIG_VERSION) {
+            this.addError(key, `${value} is newer than the supported version ${CONFIG_VERSION}, please update the script`);
+        }
+    }
+
+    addError(path, message) {
+        this.issues.push({ path, message });
+        this.errors.push(`${path} ${message}`);
+    }
+
+    clearErrors() {
+        this.issues = [];
+        this.errors = [];
+    }
+
+    validateBooleans(keys) {
+        keys.forEach(key => {
+            const value = this.getConfigValue(key);
+            typeof value !== 'boolean' ? this.addError(key, 'should be a boolean') : null;
+        });
+    }
+
+    validateProfiles(keys) {
+        keys.forEach(key => {
+            const value = this.getConfigValue(key);
+
+            if (typeof value === 'boolean') {
+                return;
+            }
+
+            if (!isPlainObject(value)) {
+                this.addError(key, 'should be a boolean or a profile object');
+                return;
+            }
+
+            if (Object.keys(value).some(section => !this.PROFILE_SECTIONS.includes(section))) {
+                this.addError(key, `should only contain the following sections: ${this.PROFILE_SECTIONS.join(', ')}`);
+                return;
+            }
+
+            const invalidSections = Object.keys(value).filter(section => !isPlainObject(value[section]));
+            if (invalidSections.length > 0) {
+                invalidSections.forEach(section => this.addError(`${key}.${section}`, 'should be an object'));
+                return;
+            }
+
+            this.validateProfile(key, value);
         });
     }
 
+    validateProfile(key, profile) {
+        const { runOn, ...base } = this.config;
+        const disabledLocations = Object.fromEntries(Object.keys(runOn).map(location => [location, false]));
+        const validator = new ConfigValidator(deepMerge(JSON.parse(JSON.stringify(base)), { ...profile, runOn: disabledLocations }));
+
+        try {
+            validator.validate();
+        } catch (error) {
+            if (validator.issues.length === 0) {
+                this.addError(key, `could not be validated: ${error.message}`);
+            }
+
+            validator.issues
+                .filter(issue => !this.issues.some(({ path, message }) => path === issue.path && message === issue.message))
+                .forEach(({ path, message }) => this.addError(`${key}.${path}`, message));
+        }
+    }
+
     validatePositiveNonZeroInteger(key, configKey) {
         const value = this.getConfigValue(configKey);
         if (!(value > 0 && Number.isInteger(value))) {
-            this.errors.push(`${key} should be a positive non-zero integer`);
+            this.addError(key, 'should be a positive non-zero integer');
         }
     }
 
+    validateNonNegativeIntegers(keys) {
+        keys.forEach(key => {
+            const value = this.getConfigValue(key);
+            if (!(value >= 0 && Number.isInteger(value))) {
+                this.addError(key, 'should be a non-negative integer');
+            }
+        });
+    }
+
     validateStringArrays(keys) {
         for (const key of keys) {
             const value = this.getConfigValue(key);
             if (!Array.isArray(value)) {
-                this.errors.push(`${key} should be an array`);
+                this.addError(key, 'should be an array');
             } else if (!this.validateArrayContents(value)) {
-                this.errors.push(`${key} should only contain strings`);
+                this.addError(key, 'should only contain strings');
             }
         }
     }
@@ -332,12 +2551,213 @@ class ConfigValidator {
         });
     }
 
+    validatePatternArrays(keys) {
+        for (const key of keys) {
+            const value = this.getConfigValue(key);
+            if (!Array.isArray(value)) {
+                this.addError(key, 'should be an array');
+            } else {
+                value.forEach((element, i) => Array.isArray(element)
+                    ? element.forEach((inner, j) => this.validatePattern(`${key}[${i}][${j}]`, inner))
+                    : this.validatePattern(`${key}[${i}]`, element));
+            }
+        }
+    }
+
+    validatePattern(path, entry) {
+        const isRegexObject = isPlainObject(entry) && typeof entry.regex === 'string'
+            && (entry.flags === undefined || typeof entry.flags === 'string');
+
+        if (typeof entry !== 'string' && !isRegexObject) {
+            this.addError(path, `should be a string, a '/pattern/flags' string or a { regex, flags } object`);
+            return;
+        }
+
+        try {
+            parsePattern(entry);
+        } catch (error) {
+            this.addError(path, `is an invalid regular expression: ${error.message}`);
+        }
+    }
+
+    validateSelectorOverrides(key) {
+        const overrides = this.getConfigValue(key);
+
+        if (!isPlainObject(overrides)) {
+            this.addError(key, 'should be an object');
+            return;
+        }
+
+        Object.entries(overrides).forEach(([group, values]) => {
+            if (!Object.hasOwn(DEFAULT_SELECTORS, group)) {
+                this.addError(`${key}.${group}`, `should be one of the following groups: ${Object.keys(DEFAULT_SELECTORS).join(', ')}`);
+            } else if (!isPlainObject(values)) {
+                this.addError(`${key}.${group}`, 'should be an object');
+            } else {
+                Object.entries(values).forEach(([name, value]) => {
+                    if (!Object.hasOwn(DEFAULT_SELECTORS[group], name)) {
+                        this.addError(`${key}.${group}.${name}`, `should be one of the following selectors: ${Object.keys(DEFAULT_SELECTORS[group]).join(', ')}`);
+                    } else if (typeof value !== 'string' || value.trim() === '') {
+                        this.addError(`${key}.${group}.${name}`, 'should be a non-empty string');
+                    } else if (group === 'ACTIVITY' ? !/^-?[_a-zA-Z][\w-]*$/.test(value) : !this.isValidSelector(value)) {
+                        this.addError(`${key}.${group}.${name}`, `should be a valid ${group === 'ACTIVITY' ? 'class name' : 'CSS selector'}`);
+                    }
+                });
+            }
+        });
+    }
+
+    isValidSelector(selector) {
+        try {
+            document.createDocumentFragment().querySelector(selector);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    validateHotkeys(key, actions) {
+        const hotkeys = this.getConfigValue(key);
+
+        if (!isPlainObject(hotkeys)) {
+            this.addError(key, 'should be an object');
+            return;
+        }
+
+        Object.entries(hotkeys).forEach(([action, hotkey]) => {
+            if (!actions.includes(action)) {
+                this.addError(`${key}.${action}`, `should be one of the following actions: ${actions.join(', ')}`);
+            } else if (typeof hotkey !== 'string') {
+                this.addError(`${key}.${action}`, 'should be a string');
+            } else if (hotkey !== '' && !/^((ctrl|alt|shift|meta)\s*\+\s*)*[^+\s]+$/i.test(hotkey.trim())) {
+                this.addError(`${key}.${action}`, `should be a key combination such as 'Alt+P'`);
+            }
+        });
+    }
+
+    validateSubscriptions(key) {
+        const subscriptions = this.getConfigValue(key);
+
+        if (!Array.isArray(subscriptions)) {
+            this.addError(key, 'should be an array');
+            return;
+        }
+
+        subscriptions.forEach((subscription, i) => {
+            const path = `${key}[${i}]`;
+
+            if (!isPlainObject(subscription)) {
+                this.addError(path, 'should be a { name, source, enabled, disabled } object');
+                return;
+            }
+
+            const { name, source, enabled = true, disabled = [] } = subscription;
+
+            if (typeof name !== 'string' || name.trim() === '') {
+                this.addError(`${path}.name`, 'should be a non-empty string');
+            }
+            if (typeof source !== 'string' && !isPlainObject(source)) {
+                this.addError(`${path}.source`, 'should be a text or JSON filter list');
+            }
+            if (typeof enabled !== 'boolean') {
+                this.addError(`${path}.enabled`, 'should be a boolean');
+            }
+            if (!Array.isArray(disabled) || disabled.some(entry => typeof entry !== 'string')) {
+                this.addError(`${path}.disabled`, 'should be an array of strings');
+            }
+        });
+    }
+
+    validateMediaRules(key) {
+        const value = this.getConfigValue(key);
+
+        if (!Array.isArray(value)) {
+            this.addError(key, 'should be an array');
+            return;
+        }
+
+        value.forEach((rule, i) => this.validateMediaRule(`${key}[${i}]`, rule));
+    }
+
+    validateMediaRule(path, rule) {
+        if (typeof rule === 'number' || typeof rule === 'string') {
+            typeof rule === 'number' ? this.validateMediaId(path, rule) : this.validatePattern(path, rule);
+        } else if (!isPlainObject(rule) || Object.keys(rule).length === 0) {
+            this.addError(path, 'should be an AniList ID, a title or a { id, title, type } object');
+        } else {
+            Object.entries(rule).forEach(([field, fieldValue]) => this.validateMediaField(`${path}.${field}`, field, fieldValue));
+        }
+    }
+
+    validateMediaField(path, field, value) {
+        switch (field) {
+            case 'id':
+                this.validateMediaId(path, value);
+                break;
+            case 'title':
+                typeof value === 'string' ? this.validatePattern(path, value) : this.addError(path, 'should be a string');
+                break;
+            case 'type':
+                ['anime', 'manga'].includes(value) ? null : this.addError(path, `should be 'anime' or 'manga'`);
+                break;
+            default:
+                this.addError(path, 'is not a valid media rule field, use id, title or type');
+        }
+    }
+
+    validateMediaId(path, value) {
+        if (!(value > 0 && Number.isInteger(value))) {
+            this.addError(path, 'should be a positive integer');
+        }
+    }
+
     validateLinkedConditions(configKey) {
-        const linkedConditions = this.getConfigValue(configKey).flat();
-        const allowedConditions = ['uncommented', 'unliked', 'text', 'images', 'videos', 'containsStrings'];
+        const value = this.getConfigValue(configKey);
+
+        if (!Array.isArray(value)) {
+            this.addError(configKey, 'should be an array');
+            return;
+        }
+
+        const linkedConditions = value.flat();
+        const allowedConditions = ['uncommented', 'unliked', 'text', 'images', 'videos', 'containsStrings', 'types', 'users',
+            'keepUsers', 'minLikes', 'minReplies', 'media'];
 
         if (linkedConditions.some(condition => !allowedConditions.includes(condition))) {
-            this.errors.push(`${configKey} should only contain the following strings: ${allowedConditions.join(', ')}`);
+            this.addError(configKey, `should only contain the following strings: ${allowedConditions.join(', ')}`);
+        }
+    }
+
+    validateFilterExpression(key) {
+        const value = this.getConfigValue(key);
+
+        if (typeof value !== 'string') {
+            this.addError(key, 'should be a string');
+            return;
+        }
+
+        try {
+            if (value.trim()) {
+                new FilterExpression(value.trim());
+            }
+        } catch (error) {
+            this.addError(key, `has a syntax error: ${error.message}`);
+        }
+    }
+
+    validateAllowedValue(key, allowedValues) {
+        if (!allowedValues.includes(this.getConfigValue(key))) {
+            this.addError(key, `should be one of the following strings: ${allowedValues.join(', ')}`);
+        }
+    }
+
+    validateAllowedStrings(key, allowedValues) {
+        const value = this.getConfigValue(key);
+
+        if (!Array.isArray(value)) {
+            this.addError(key, 'should be an array');
+        } else if (value.some(element => !allowedValues.includes(element))) {
+            this.addError(key, `should only contain the following strings: ${allowedValues.join(', ')}`);
         }
     }
 
@@ -346,12 +2766,18 @@ class ConfigValidator {
     }
 }
 
+const CONFIG_VERSION = 2;
+
+const ACTIVITY_TYPES = ['watched', 'read', 'rewatched', 'reread', 'completed', 'planning', 'dropped', 'paused', 'text', 'message'];
+
 const selectors = {
     DIV: {
         BUTTON: 'div.load-more',
         ACTIVITY: 'div.activity-entry',
         REPLIES: 'div.action.replies',
         LIKES: 'div.action.likes',
+        STATUS: 'div.status',
+        TIME: 'div.time',
     },
     SPAN: {
         COUNT: 'span.count',
@@ -360,30 +2786,135 @@ const selectors = {
     ACTIVITY: {
         TEXT: 'activity-text',
         MESSAGE: 'activity-message',
+        ANIME_LIST: 'activity-anime_list',
+        MANGA_LIST: 'activity-manga_list',
+    },
+    LINK: {
+        USER: 'a.name',
+        MEDIA: 'a.title',
+        ACTIVITY: 'div.time a[href*="/activity/"]',
     },
     CLASS: {
         IMAGE: 'img',
         VIDEO: 'video',
     },
+    TIME: {
+        DATETIME: 'time[datetime]',
+    },
 };
 
+const DEFAULT_SELECTORS = JSON.parse(JSON.stringify(selectors));
+
+function applySelectorOverrides(overrides = {}) {
+    Object.entries(DEFAULT_SELECTORS).forEach(([group, defaults]) => Object.assign(selectors[group], defaults, overrides[group]));
+}
+
+function getPageWindow() {
+    return typeof unsafeWindow !== 'undefined' ? unsafeWindow : window;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = row[j];
+            row[j] = Math.min(above + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diagonal = above;
+        }
+    }
+
+    return row[b.length];
+}
+
+function suggestKey(path, candidates) {
+    const [section] = path.split('.');
+    const name = path.split('.').pop().toLowerCase();
+    const [best] = candidates
+        .map(candidate => ({
+            candidate,
+            distance: editDistance(name, candidate.split('.').pop().toLowerCase())
+                + (path.includes('.') && !candidate.startsWith(`${section}.`) ? 0.5 : 0),
+        }))
+        .sort((a, b) => a.distance - b.distance);
+
+    return best && best.distance <= Math.max(1, Math.floor(name.length / 3)) ? best.candidate : null;
+}
+
+function parsePattern(entry) {
+    if (isPlainObject(entry)) {
+        return new RegExp(entry.regex, entry.flags ?? '');
+    }
+
+    const match = entry.match(/^\/(.+)\/([a-z]*)$/);
+    return match ? new RegExp(match[1], match[2]) : null;
+}
+
+function deepMerge(target, source) {
+    Object.entries(source).forEach(([key, value]) => {
+        target[key] = isPlainObject(value) && isPlainObject(target[key]) ? deepMerge(target[key], value) : value;
+    });
+
+    return target;
+}
+
 function main() {
+    const storage = new ConfigStorage(config);
+    const activeConfig = storage.load();
+    const uiHandler = new UIHandler();
+    const whenReady = (callback) => document.readyState === 'loading'
+        ? document.addEventListener('DOMContentLoaded', callback, { once: true })
+        : callback();
+    let problems;
+
     try {
-        new ConfigValidator(config).validate();
+        problems = new ConfigValidator(activeConfig, storage.migrations).repair(config);
     } catch (error) {
         console.error(error.message);
+        whenReady(() => uiHandler.showConfigNotice([error.message]));
         return;
     }
 
-    const uiHandler = new UIHandler();
-    const activityHandler = new ActivityHandler(config);
-    const mainApp = new MainApp(activityHandler, uiHandler, config);
+    applySelectorOverrides(activeConfig.options.selectors);
+
+    const activityData = activeConfig.options.useApiData ? new ActivityData() : null;
+    activityData?.interceptFetch(getPageWindow());
+
+    const stats = new FilterStats();
+    window.addEventListener('pagehide', stats.flush);
+    const activityHandler = new ActivityHandler(activeConfig, activityData);
+    uiHandler.stats = stats;
+    activityHandler.stats = stats;
+
+    const mainApp = new MainApp(activityHandler, uiHandler, activeConfig);
+    mainApp.statsPanel = new StatsPanel(stats);
+    mainApp.toolbar = new QuickFilterBar(activityHandler, (name) => name === 'reverse' ? mainApp.toggleReverse() : mainApp.toggleCondition(name));
+    uiHandler.onLoadMore = mainApp.startLoading;
+    mainApp.diagnostics = new SelectorDiagnostics();
+    mainApp.settings = new SettingsPanel(activeConfig, (newConfig) => {
+        storage.save(newConfig);
+        mainApp.applyConfig(newConfig);
+    }, config);
+
+    mainApp.initializeRouteListener();
+    mainApp.initializeHotkeys();
+
+    problems.push(...mainApp.getSubscriptionProblems());
+    if (problems.length > 0) {
+        whenReady(() => uiHandler.showConfigNotice(problems));
+    }
 
-    mainApp.initializeObserver();
+    whenReady(mainApp.initializeObserver);
 }
 
 if (require.main === module) {
     main();
 }
 
-module.exports = { MainApp, ActivityHandler, UIHandler, ConfigValidator, SELECTORS: selectors };
+module.exports = { MainApp, ActivityHandler, UIHandler, SettingsPanel, FilterExpression, ActivityData, LoadController, SelectorDiagnostics, FilterStats, StatsPanel, QuickFilterBar, FilterSubscriptions, ConfigStorage, ConfigMigrator, ConfigTransfer, ConfigValidator, SELECTORS: selectors };
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const sinon = require('sinon');
+const { expect } = require('chai');
+const { ActivityData } = require('../src/activityFeedFilter.user');
+
+const GRAPHQL_ACTIVITIES = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'graphql-activities.json'), 'utf8'));
+const ACTIVITY_QUERY = JSON.stringify({ query: 'query ($page: Int) { Page(page: $page) { activities { ... } } }' });
+
+describe('ActivityData', () => {
+    let activityData;
+
+    beforeEach(() => {
+        activityData = new ActivityData();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('index', () => {
+        it('should index every activity in a recorded feed response', () => {
+            activityData.index(GRAPHQL_ACTIVITIES);
+
+            expect([...activityData.activities.keys()]).to.deep.equal([501, 502, 503]);
+            expect(activityData.get(501)).to.deep.equal({
+                kind: 'list',
+                user: 'friendname',
+                status: 'watched episode',
+                media: { id: 21, type: 'anime', title: 'One Piece' },
+                likes: 12,
+                replies: 0,
+                createdAt: 1700000000,
+            });
+            expect(activityData.get(502)).to.deep.equal({ kind: 'text', user: 'otheruser', likes: 0, replies: 3, createdAt: 1700000100 });
+            expect(activityData.get(503)).to.include({ kind: 'message', user: 'sender', likes: 4 });
+        });
+
+        it('should not index replies or media as activities', () => {
+            activityData.index(GRAPHQL_ACTIVITIES);
+
+            expect(activityData.get(9001)).to.be.undefined;
+            expect(activityData.get(21)).to.be.undefined;
+        });
+
+        it('should merge partial updates into an indexed activity', () => {
+            activityData.index(GRAPHQL_ACTIVITIES);
+            activityData.index({ data: { ToggleLikeV2: { id: 502, type: 'TEXT', likeCount: 1 } } });
+
+            expect(activityData.get(502)).to.deep.equal({ kind: 'text', user: 'otheruser', likes: 1, replies: 3, createdAt: 1700000100 });
+        });
+    });
+
+    describe('interceptFetch', () => {
+        const createTarget = (body) => ({
+            fetch: sinon.stub().resolves({ clone: () => ({ json: () => Promise.resolve(body) }) }),
+        });
+
+        it('should index activity query responses and pass the response through', async () => {
+            const target = createTarget(GRAPHQL_ACTIVITIES);
+            activityData.interceptFetch(target);
+
+            const response = await target.fetch('https://graphql.anilist.co', { method: 'POST', body: ACTIVITY_QUERY });
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(response).to.have.property('clone');
+            expect(activityData.get(501).media.id).to.equal(21);
+        });
+
+        it('should ignore other requests', async () => {
+            const target = createTarget(GRAPHQL_ACTIVITIES);
+            activityData.interceptFetch(target);
+
+            await target.fetch('https://anilist.co/api/other', { body: ACTIVITY_QUERY });
+            await target.fetch('https://graphql.anilist.co', { body: JSON.stringify({ query: 'query { Viewer { id } }' }) });
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(activityData.activities.size).to.equal(0);
+        });
+
+        it('should log unreadable responses without breaking the page request', async () => {
+            const errorStub = sinon.stub(console, 'error');
+            const target = { fetch: sinon.stub().resolves({ clone: () => ({ json: () => Promise.reject(new SyntaxError('Unexpected token')) }) }) };
+            activityData.interceptFetch(target);
+
+            await target.fetch('https://graphql.anilist.co', { body: ACTIVITY_QUERY });
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(errorStub.calledOnce).to.be.true;
+            expect(activityData.activities.size).to.equal(0);
+        });
+    });
+});
@@ -2,8 +2,8 @@ const fs = require('fs');
 const jsdom = require('jsdom');
 const path = require('path');
 const { expect } = require('chai');
-const { ActivityHandler } = require('../src/activityFeedFilter.user');
-const { restore, spy } = require("sinon");
+const { ActivityHandler, ActivityData } = require('../src/activityFeedFilter.user');
+const { restore, spy, stub, useFakeTimers } = require("sinon");
 const merge = require('lodash.merge');
 
 const TEST_DATA_PATH = './tests/data/';
@@ -19,6 +19,13 @@ const CONTAINS_STRING_2 = `${TEST_DATA_PATH}activity-containsString2.html`
 const CONTAINS_STRINGS = `${TEST_DATA_PATH}activity-containsStrings.html`
 const IMAGES_UNLIKED = `${TEST_DATA_PATH}activity-imagesUnliked.html`;
 const VIDEOS_UNCOMMENTED = `${TEST_DATA_PATH}activity-videosUncommented.html`;
+const WATCHED = `${TEST_DATA_PATH}activity-watched.html`;
+const PLANNING = `${TEST_DATA_PATH}activity-planning.html`;
+const USER = `${TEST_DATA_PATH}activity-user.html`;
+const POPULAR = `${TEST_DATA_PATH}activity-popular.html`;
+const MEDIA = `${TEST_DATA_PATH}activity-media.html`;
+const API = `${TEST_DATA_PATH}activity-api.html`;
+const GRAPHQL_ACTIVITIES = `${TEST_DATA_PATH}graphql-activities.json`;
 
 describe('ActivityHandler', () => {
     let activityHandler;
@@ -26,9 +33,11 @@ describe('ActivityHandler', () => {
     beforeEach(function() {
         const config = {
             remove:
-                { uncommented: false, unliked: false, text: false, images: false, videos: false, containsStrings: [] },
+                { uncommented: false, unliked: false, text: false, images: false, videos: false, containsStrings: [], types: [], users: [], minLikes: 0, minReplies: 0, media: [] },
+            keep:
+                { users: [] },
             options:
-                { targetLoadCount: 2, caseSensitive: false, linkedConditions: [], reversedConditions: false },
+                { targetLoadCount: 2, caseSensitive: false, linkedConditions: [], reversedConditions: false, filterExpression: '', removalMode: 'remove', debug: false, useApiData: false },
         };
 
         activityHandler = new ActivityHandler(config);
@@ -171,6 +180,94 @@ describe('ActivityHandler', () => {
         { htmlPath: CONTAINS_STRINGS, configOptions: { remove: { containsStrings: [[STRING_1, STRING_2]] } }, expectedRemove: true },
         { htmlPath: IMAGES_UNLIKED, configOptions: { remove: { containsStrings: [STRING_1] } }, expectedRemove: false },
 
+        // Tests for regular expressions in containsStrings
+        { htmlPath: CONTAINS_STRING_1, configOptions: { remove: { containsStrings: ['/string\\d/'] } }, expectedRemove: false },
+        { htmlPath: CONTAINS_STRING_1, configOptions: { remove: { containsStrings: ['/string\\d/i'] } }, expectedRemove: true },
+        { htmlPath: CONTAINS_STRING_1, configOptions: { remove: { containsStrings: ['/\\bString1/g'] } }, expectedRemove: true },
+        { htmlPath: CONTAINS_STRING_2, configOptions: { remove: { containsStrings: ['/String1/'] } }, expectedRemove: false },
+        { htmlPath: CONTAINS_STRING_1, configOptions: { remove: { containsStrings: [{ regex: 'String\\d' }] } }, expectedRemove: true },
+        { htmlPath: CONTAINS_STRING_1, configOptions: { remove: { containsStrings: [{ regex: 'STRING\\d', flags: 'i' }] } }, expectedRemove: true },
+        { htmlPath: CONTAINS_STRINGS, configOptions: { remove: { containsStrings: [['/String1/', STRING_2]] } }, expectedRemove: true },
+        { htmlPath: CONTAINS_STRING_1, configOptions: { remove: { containsStrings: [['/String1/', STRING_2]] } }, expectedRemove: false },
+        { htmlPath: CONTAINS_STRING_1, configOptions: { remove: { containsStrings: ['/String1/'] }, options: { reverseConditions: true } }, expectedRemove: false },
+        { htmlPath: CONTAINS_STRING_2, configOptions: { remove: { containsStrings: ['/String1/'] }, options: { reverseConditions: true } }, expectedRemove: true },
+
+        // Tests for types
+        { htmlPath: WATCHED, configOptions: { remove: { types: ['watched'] } }, expectedRemove: true },
+        { htmlPath: WATCHED, configOptions: { remove: { types: ['planning', 'completed'] } }, expectedRemove: false },
+        { htmlPath: PLANNING, configOptions: { remove: { types: ['planning'] } }, expectedRemove: true },
+        { htmlPath: PLANNING, configOptions: { remove: { types: ['read'] } }, expectedRemove: false },
+        { htmlPath: TEXT, configOptions: { remove: { types: ['text'] } }, expectedRemove: true },
+        { htmlPath: MESSAGE, configOptions: { remove: { types: ['text'] } }, expectedRemove: false },
+        { htmlPath: MESSAGE, configOptions: { remove: { types: ['message'] } }, expectedRemove: true },
+        { htmlPath: UNLIKED, configOptions: { remove: { types: ['watched'] } }, expectedRemove: false },
+        { htmlPath: WATCHED, configOptions: { remove: { types: [] } }, expectedRemove: false },
+        { htmlPath: WATCHED, configOptions: { remove: { types: ['watched'] }, options: { reverseConditions: true } }, expectedRemove: false },
+        { htmlPath: PLANNING, configOptions: { remove: { types: ['watched'] }, options: { reverseConditions: true } }, expectedRemove: true },
+        { htmlPath: WATCHED, configOptions: { remove: { types: ['watched'] }, options: { linkedConditions: [['types', 'uncommented']] } }, expectedRemove: false },
+        { htmlPath: VIDEOS_UNCOMMENTED, configOptions: { remove: { types: ['text'] }, options: { linkedConditions: [['types', 'uncommented']] } }, expectedRemove: true },
+
+        // Tests for users
+        { htmlPath: USER, configOptions: { remove: { users: ['friendname'] } }, expectedRemove: true },
+        { htmlPath: USER, configOptions: { remove: { users: ['BlockedUser'] } }, expectedRemove: false },
+        { htmlPath: UNLIKED, configOptions: { remove: { users: ['FriendName'] } }, expectedRemove: false },
+        { htmlPath: USER, configOptions: { remove: { images: true }, keep: { users: ['FRIENDNAME'] } }, expectedRemove: false },
+        { htmlPath: USER, configOptions: { remove: { users: ['FriendName'] }, keep: { users: ['FriendName'] } }, expectedRemove: false },
+        { htmlPath: USER, configOptions: { remove: { images: true }, keep: { users: ['BlockedUser'] } }, expectedRemove: true },
+        { htmlPath: USER, configOptions: { remove: { images: true }, options: { reverseConditions: true }, keep: { users: ['FriendName'] } }, expectedRemove: false },
+        { htmlPath: USER, configOptions: { remove: { users: ['FriendName'] }, options: { reverseConditions: true } }, expectedRemove: false },
+        { htmlPath: USER, configOptions: { remove: { users: ['Someone'] }, options: { reverseConditions: true } }, expectedRemove: true },
+        { htmlPath: USER, configOptions: { remove: { users: ['FriendName'] }, options: { linkedConditions: [['users', 'images']] } }, expectedRemove: true },
+        { htmlPath: USER, configOptions: { remove: { users: ['FriendName'] }, options: { linkedConditions: [['users', 'videos']] } }, expectedRemove: false },
+        { htmlPath: USER, configOptions: { keep: { users: ['FriendName'] }, options: { linkedConditions: [['keepUsers', 'unliked']] } }, expectedRemove: true },
+        { htmlPath: UNLIKED, configOptions: { keep: { users: ['FriendName'] }, options: { linkedConditions: [['keepUsers', 'unliked']] } }, expectedRemove: false },
+
+        // Tests for minLikes and minReplies
+        { htmlPath: POPULAR, configOptions: { remove: { minLikes: 1200 } }, expectedRemove: false },
+        { htmlPath: POPULAR, configOptions: { remove: { minLikes: 1201 } }, expectedRemove: true },
+        { htmlPath: TEXT, configOptions: { remove: { minLikes: 2 } }, expectedRemove: true },
+        { htmlPath: UNLIKED, configOptions: { remove: { minLikes: 1 } }, expectedRemove: true },
+        { htmlPath: UNLIKED, configOptions: { remove: { minLikes: 0 } }, expectedRemove: false },
+        { htmlPath: POPULAR, configOptions: { remove: { minReplies: 2 } }, expectedRemove: false },
+        { htmlPath: POPULAR, configOptions: { remove: { minReplies: 3 } }, expectedRemove: true },
+        { htmlPath: UNCOMMENTED, configOptions: { remove: { minReplies: 1 } }, expectedRemove: true },
+        { htmlPath: POPULAR, configOptions: { remove: { minLikes: 1201 }, options: { reverseConditions: true } }, expectedRemove: false },
+        { htmlPath: POPULAR, configOptions: { remove: { minLikes: 2 }, options: { reverseConditions: true } }, expectedRemove: true },
+        { htmlPath: TEXT, configOptions: { remove: { minLikes: 2 }, options: { linkedConditions: [['minLikes', 'text']] } }, expectedRemove: true },
+        { htmlPath: TEXT, configOptions: { remove: { minLikes: 2 }, options: { linkedConditions: [['minLikes', 'images']] } }, expectedRemove: false },
+
+        // Tests for filterExpression
+        { htmlPath: IMAGES_UNLIKED, configOptions: { options: { filterExpression: 'images AND NOT liked' } }, expectedRemove: true },
+        { htmlPath: IMAGES, configOptions: { options: { filterExpression: 'images AND NOT liked' } }, expectedRemove: false },
+        { htmlPath: CONTAINS_STRING_1, configOptions: { options: { filterExpression: '(images AND NOT liked) OR contains("string1")' } }, expectedRemove: true },
+        { htmlPath: CONTAINS_STRING_2, configOptions: { options: { filterExpression: '(images AND NOT liked) OR contains("string1")' } }, expectedRemove: false },
+        { htmlPath: CONTAINS_STRING_1, configOptions: { options: { filterExpression: 'contains("/^\\s*String\\d/")' } }, expectedRemove: true },
+        { htmlPath: WATCHED, configOptions: { options: { filterExpression: 'type("watched") AND commented' } }, expectedRemove: true },
+        { htmlPath: USER, configOptions: { options: { filterExpression: 'user("friendname") OR videos' } }, expectedRemove: true },
+        { htmlPath: IMAGES, configOptions: { remove: { images: true }, options: { filterExpression: 'videos' } }, expectedRemove: false },
+        { htmlPath: IMAGES, configOptions: { options: { filterExpression: 'images', reverseConditions: true } }, expectedRemove: false },
+        { htmlPath: TEXT, configOptions: { options: { filterExpression: 'images', reverseConditions: true } }, expectedRemove: true },
+        { htmlPath: USER, configOptions: { keep: { users: ['FriendName'] }, options: { filterExpression: 'images' } }, expectedRemove: false },
+        { htmlPath: IMAGES, configOptions: { options: { filterExpression: '   ' } }, expectedRemove: false },
+
+        // Tests for media
+        { htmlPath: MEDIA, configOptions: { remove: { media: [21] } }, expectedRemove: true },
+        { htmlPath: MEDIA, configOptions: { remove: { media: [20] } }, expectedRemove: false },
+        { htmlPath: MEDIA, configOptions: { remove: { media: ['one piece'] } }, expectedRemove: true },
+        { htmlPath: MEDIA, configOptions: { remove: { media: ['One'] } }, expectedRemove: false },
+        { htmlPath: MEDIA, configOptions: { remove: { media: ['/^one\\b/i'] } }, expectedRemove: true },
+        { htmlPath: MEDIA, configOptions: { remove: { media: [{ type: 'anime' }] } }, expectedRemove: true },
+        { htmlPath: MEDIA, configOptions: { remove: { media: [{ type: 'manga' }] } }, expectedRemove: false },
+        { htmlPath: MEDIA, configOptions: { remove: { media: [{ id: 21, type: 'manga' }] } }, expectedRemove: false },
+        { htmlPath: MEDIA, configOptions: { remove: { media: [{ title: 'One Piece', type: 'anime' }] } }, expectedRemove: true },
+        { htmlPath: PLANNING, configOptions: { remove: { media: [{ type: 'manga' }] } }, expectedRemove: true },
+        { htmlPath: TEXT, configOptions: { remove: { media: [{ type: 'anime' }, { type: 'manga' }] } }, expectedRemove: false },
+        { htmlPath: MEDIA, configOptions: { remove: { media: [21] }, options: { reverseConditions: true } }, expectedRemove: false },
+        { htmlPath: PLANNING, configOptions: { remove: { media: [21] }, options: { reverseConditions: true } }, expectedRemove: true },
+        { htmlPath: MEDIA, configOptions: { remove: { media: [21] }, options: { linkedConditions: [['media', 'uncommented']] } }, expectedRemove: false },
+        { htmlPath: MEDIA, configOptions: { remove: { media: [21], users: ['FriendName'] }, options: { linkedConditions: [['media', 'users']] } }, expectedRemove: true },
+        { htmlPath: MEDIA, configOptions: { remove: { media: [{ type: 'anime' }] }, options: { filterExpression: 'media AND type("watched")' } }, expectedRemove: true },
+
         // Tests for linkedConditions
         { htmlPath: UNLIKED, configOptions: { options: { linkedConditions: [[]] } }, expectedRemove: false },
         { htmlPath: UNLIKED, configOptions: { options: { linkedConditions: [['images', 'unliked']] } }, expectedRemove: false },
@@ -300,4 +397,370 @@ describe('ActivityHandler', () => {
 
     // logTestCases(testCases)
     runTestCases(testCases);
+
+    describe('removalMode', () => {
+        let dom;
+        let node;
+        let previousDocument;
+
+        beforeEach(() => {
+            dom = new jsdom.JSDOM(fs.readFileSync(IMAGES_UNLIKED, 'utf8'));
+            node = dom.window.document.body.firstChild;
+            previousDocument = global.document;
+            global.document = dom.window.document;
+        });
+
+        afterEach(() => {
+            global.document = previousDocument;
+        });
+
+        it('should hide the node without removing it in hide mode', () => {
+            merge(activityHandler.config, { remove: { images: true }, options: { removalMode: 'hide' } });
+            const removeSpy = spy(node, 'remove');
+
+            activityHandler.processNode(node);
+
+            expect(removeSpy.called).to.be.false;
+            expect(node.style.display).to.equal('none');
+            expect(node.isConnected).to.be.true;
+            expect(activityHandler.currentLoadCount).to.equal(0);
+        });
+
+        it('should collapse the node into a placeholder listing the matched conditions', () => {
+            merge(activityHandler.config, { remove: { images: true, unliked: true, videos: true }, options: { removalMode: 'collapse' } });
+
+            activityHandler.processNode(node);
+
+            const placeholder = node.previousElementSibling;
+            expect(node.style.display).to.equal('none');
+            expect(placeholder.className).to.equal('filter-placeholder');
+            expect(placeholder.textContent).to.equal('Hidden: unliked, images (click to expand)');
+            expect(activityHandler.currentLoadCount).to.equal(0);
+        });
+
+        it('should expand a collapsed node when the placeholder is clicked', () => {
+            merge(activityHandler.config, { remove: { images: true }, options: { removalMode: 'collapse' } });
+
+            activityHandler.processNode(node);
+            node.previousElementSibling.click();
+
+            expect(node.style.display).to.equal('');
+            expect(node.previousElementSibling).to.be.null;
+        });
+
+        it('should keep a removed node so it can be restored in its place', () => {
+            const before = dom.window.document.createElement('div');
+            node.before(before);
+            merge(activityHandler.config, { remove: { images: true } });
+
+            activityHandler.processNode(node);
+            expect(node.isConnected).to.be.false;
+            expect(activityHandler.isOnPage(node)).to.be.true;
+
+            activityHandler.restoreNode(node);
+            expect(node.isConnected).to.be.true;
+            expect(node.previousSibling).to.equal(before);
+            expect(dom.window.document.body.childNodes.length).to.equal(2);
+        });
+
+        it('should list linked groups and reversed conditions in the placeholder', () => {
+            merge(activityHandler.config, { options: { removalMode: 'collapse', linkedConditions: [['images', 'unliked']] } });
+            activityHandler.processNode(node);
+            expect(node.previousElementSibling.textContent).to.equal('Hidden: images + unliked (click to expand)');
+
+            const textDom = new jsdom.JSDOM(fs.readFileSync(TEXT, 'utf8'));
+            const textNode = textDom.window.document.body.firstChild;
+            activityHandler.config.options.linkedConditions = [];
+            merge(activityHandler.config, { remove: { videos: true }, options: { reverseConditions: true } });
+            activityHandler.processNode(textNode);
+            expect(textNode.previousElementSibling.textContent).to.equal('Hidden: not videos (click to expand)');
+        });
+    });
+
+    describe('quick filters', () => {
+        it('should let quick filters switch conditions on and off', () => {
+            merge(activityHandler.config, { remove: { images: true } });
+
+            activityHandler.quickFilters = { images: false, videos: true };
+
+            expect(activityHandler.isConditionEnabled('images')).to.be.false;
+            expect(activityHandler.isConditionEnabled('videos')).to.be.true;
+            expect(activityHandler.isConditionEnabled('text')).to.be.false;
+        });
+
+        it('should apply quick filters when evaluating a node', () => {
+            const node = new jsdom.JSDOM(fs.readFileSync(IMAGES, 'utf8')).window.document.body.firstChild;
+            activityHandler.quickFilters = { images: true };
+
+            expect(activityHandler.evaluateNode(node).verdict).to.equal('removed');
+        });
+    });
+
+    describe('reprocessNode', () => {
+        let node;
+        let previousDocument;
+
+        const addLike = () => {
+            node.querySelector('.like-wrap .button').innerHTML = '<span class="count">1</span>';
+        };
+
+        beforeEach(() => {
+            const dom = new jsdom.JSDOM(fs.readFileSync(IMAGES_UNLIKED, 'utf8'));
+            node = dom.window.document.body.firstChild;
+            previousDocument = global.document;
+            global.document = dom.window.document;
+        });
+
+        afterEach(() => {
+            global.document = previousDocument;
+        });
+
+        it('should restore a hidden node once it no longer matches', () => {
+            merge(activityHandler.config, { remove: { unliked: true }, options: { removalMode: 'hide' } });
+            activityHandler.processNode(node);
+
+            addLike();
+
+            expect(activityHandler.reprocessNode(node).verdict).to.equal('kept');
+            expect(node.style.display).to.equal('');
+        });
+
+        it('should remove the placeholder of a collapsed node once it no longer matches', () => {
+            merge(activityHandler.config, { remove: { unliked: true }, options: { removalMode: 'collapse' } });
+            activityHandler.processNode(node);
+
+            addLike();
+            activityHandler.reprocessNode(node);
+
+            expect(node.style.display).to.equal('');
+            expect(node.previousElementSibling).to.be.null;
+        });
+
+        it('should hide a kept node once it starts matching', () => {
+            merge(activityHandler.config, { remove: { minLikes: 1 }, options: { removalMode: 'hide' } });
+            addLike();
+            activityHandler.processNode(node);
+
+            node.querySelector('.like-wrap .button').innerHTML = '';
+
+            expect(activityHandler.reprocessNode(node).verdict).to.equal('removed');
+            expect(node.style.display).to.equal('none');
+        });
+
+        it('should read the live counts from the page instead of the indexed API data', () => {
+            merge(activityHandler.config, { remove: { unliked: true }, options: { removalMode: 'hide', useApiData: true } });
+            node.querySelector('.time').innerHTML = '<a href="/activity/501">time</a>';
+            activityHandler.data = new ActivityData();
+            activityHandler.data.store({ id: 501, type: 'TEXT', likeCount: 0, replyCount: 1 });
+            activityHandler.processNode(node);
+
+            addLike();
+
+            expect(activityHandler.reprocessNode(node).verdict).to.equal('kept');
+            expect(node.style.display).to.equal('');
+        });
+
+        it('should leave the node alone when the verdict does not change', () => {
+            merge(activityHandler.config, { remove: { unliked: true }, options: { removalMode: 'collapse' } });
+            activityHandler.processNode(node);
+            node.previousElementSibling.click();
+
+            activityHandler.reprocessNode(node);
+
+            expect(node.style.display).to.equal('');
+            expect(node.previousElementSibling).to.be.null;
+        });
+    });
+
+    describe('API data', () => {
+        let node;
+
+        beforeEach(() => {
+            activityHandler.data = new ActivityData();
+            activityHandler.data.index(JSON.parse(fs.readFileSync(GRAPHQL_ACTIVITIES, 'utf8')));
+            node = new jsdom.JSDOM(fs.readFileSync(API, 'utf8')).window.document.body.firstChild;
+        });
+
+        it('should prefer indexed data over the page markup', () => {
+            expect(activityHandler.getActivityType(node)).to.equal('watched');
+            expect(activityHandler.getAuthor(node)).to.equal('friendname');
+            expect(activityHandler.getMedia(node)).to.deep.equal({ id: 21, type: 'anime', title: 'One Piece' });
+            expect(activityHandler.evaluateUnlikedRemoval(node)).to.be.false;
+            expect(activityHandler.evaluateUncommentedRemoval(node)).to.be.true;
+        });
+
+        it('should apply count thresholds to indexed counts', () => {
+            merge(activityHandler.config, { remove: { minLikes: 12, minReplies: 1 } });
+
+            expect(activityHandler.evaluateMinLikesRemoval(node)).to.be.false;
+            expect(activityHandler.evaluateMinRepliesRemoval(node)).to.be.true;
+        });
+
+        it('should fall back to the page markup for activities that were not indexed', () => {
+            const watched = new jsdom.JSDOM(fs.readFileSync(WATCHED, 'utf8')).window.document.body.firstChild;
+            node.querySelector('.time a').setAttribute('href', '/activity/999');
+
+            expect(activityHandler.getActivityType(watched)).to.equal('watched');
+            expect(activityHandler.getActivityType(node)).to.be.null;
+            expect(activityHandler.getAuthor(node)).to.be.null;
+            expect(activityHandler.evaluateUnlikedRemoval(node)).to.be.true;
+        });
+
+        it('should filter on indexed data', () => {
+            merge(activityHandler.config, { remove: { media: [21] } });
+
+            expect(activityHandler.processNode(node).verdict).to.equal('removed');
+        });
+    });
+
+    describe('load tracking', () => {
+        const createEntry = (time) => new jsdom.JSDOM(`<div class="activity-entry activity-text"><div class="time">${time}</div></div>`)
+            .window.document.body.firstChild;
+
+        const ages = [
+            { time: '<a href="/activity/1"><time datetime="2024-01-01T00:00:00Z">a day ago</time></a>', expected: 2 * 86400000 },
+            { time: '<a href="/activity/1">5 hours ago</a>', expected: 5 * 3600000 },
+            { time: 'an hour ago', expected: 3600000 },
+            { time: 'just now', expected: 0 },
+            { time: '', expected: null },
+        ];
+
+        ages.forEach(({ time, expected }) => {
+            it(`should read an age of ${expected} from: ${time}`, () => {
+                const clock = useFakeTimers(Date.parse('2024-01-03T00:00:00Z'));
+
+                try {
+                    expect(activityHandler.getActivityAge(createEntry(time))).to.equal(expected);
+                } finally {
+                    clock.restore();
+                }
+            });
+        });
+
+        it('should prefer the creation time from indexed data', () => {
+            const clock = useFakeTimers(1700003600 * 1000);
+            activityHandler.data = { get: () => ({ createdAt: 1700000000 }) };
+
+            try {
+                expect(activityHandler.getActivityAge(createEntry('<a href="/activity/501">just now</a>'))).to.equal(3600000);
+            } finally {
+                clock.restore();
+            }
+        });
+
+        it('should count scanned activities and track the oldest age until reset', () => {
+            activityHandler.config.options.maxAgeHours = 24;
+
+            activityHandler.processNode(createEntry('3 hours ago'));
+            activityHandler.processNode(createEntry('2 days ago'));
+            activityHandler.processNode(createEntry('an hour ago'));
+
+            expect(activityHandler.scannedCount).to.equal(3);
+            expect(activityHandler.oldestAge).to.equal(2 * 86400000);
+
+            activityHandler.resetLoadCount();
+            expect(activityHandler).to.include({ currentLoadCount: 0, scannedCount: 0, oldestAge: 0 });
+        });
+    });
+
+    describe('decision records', () => {
+        let node;
+        let previousDocument;
+
+        beforeEach(() => {
+            const dom = new jsdom.JSDOM(fs.readFileSync(IMAGES_UNLIKED, 'utf8'));
+            node = dom.window.document.body.firstChild;
+            previousDocument = global.document;
+            global.document = dom.window.document;
+        });
+
+        afterEach(() => {
+            global.document = previousDocument;
+        });
+
+        it('should record every checked condition and the verdict', () => {
+            merge(activityHandler.config, { remove: { images: true, videos: true }, options: { reverseConditions: false } });
+
+            const decision = activityHandler.processNode(node);
+
+            expect(decision).to.deep.equal({
+                source: 'conditions',
+                reversed: false,
+                conditions: [{ name: 'images', result: true }, { name: 'videos', result: false }],
+                linkedGroups: [],
+                matchedGroup: null,
+                verdict: 'removed',
+            });
+        });
+
+        it('should record the linked groups and the matched group', () => {
+            merge(activityHandler.config, { options: { linkedConditions: [['videos', 'uncommented'], ['images', 'unliked']] } });
+
+            const decision = activityHandler.processNode(node);
+
+            expect(decision.linkedGroups).to.deep.equal([
+                { conditions: ['videos', 'uncommented'], result: false },
+                { conditions: ['images', 'unliked'], result: true },
+            ]);
+            expect(decision.matchedGroup).to.deep.equal(['images', 'unliked']);
+            expect(decision.verdict).to.equal('removed');
+        });
+
+        it('should record the keep override and the filter expression', () => {
+            merge(activityHandler.config, { options: { filterExpression: 'videos' } });
+            expect(activityHandler.processNode(node)).to.include({ source: 'filterExpression', verdict: 'kept' });
+
+            const userNode = new jsdom.JSDOM(fs.readFileSync(USER, 'utf8')).window.document.body.firstChild;
+            merge(activityHandler.config, { keep: { users: ['FriendName'] } });
+            expect(activityHandler.processNode(userNode)).to.include({ source: 'keep.users', verdict: 'kept' });
+        });
+
+        it('should record the verdict, feed and removal reasons in the statistics', () => {
+            activityHandler.stats = { record: spy() };
+            activityHandler.location = 'home';
+            merge(activityHandler.config, { remove: { images: true, unliked: true } });
+
+            activityHandler.processNode(node);
+
+            expect(activityHandler.stats.record.calledOnceWith('removed', 'home', ['unliked', 'images'])).to.be.true;
+        });
+
+        it('should keep every activity while paused', () => {
+            merge(activityHandler.config, { remove: { images: true } });
+            activityHandler.paused = true;
+
+            expect(activityHandler.processNode(node)).to.include({ source: 'paused', verdict: 'kept' });
+            expect(node.isConnected).to.be.true;
+        });
+
+        it('should show a badge and log the decision in debug mode', () => {
+            const logStub = stub(console, 'log');
+            merge(activityHandler.config, { remove: { unliked: true }, options: { debug: true, removalMode: 'hide' } });
+
+            activityHandler.processNode(node);
+            activityHandler.processNode(node);
+
+            const badges = node.querySelectorAll('.filter-debug-badge');
+            expect(badges.length).to.equal(1);
+            expect(badges[0].textContent).to.equal('removed: unliked');
+            expect(JSON.parse(badges[0].title).verdict).to.equal('removed');
+            expect(logStub.calledTwice).to.be.true;
+            expect(logStub.firstCall.args[0]).to.include('removed: unliked');
+        });
+
+        it('should not match strings against the text of its own badge', () => {
+            stub(console, 'log');
+            merge(activityHandler.config, { remove: { containsStrings: ['kept'] }, options: { debug: true, removalMode: 'hide' } });
+
+            expect(activityHandler.processNode(node).verdict).to.equal('kept');
+            expect(activityHandler.reprocessNode(node).verdict).to.equal('kept');
+            expect(node.querySelector('.filter-debug-badge').textContent).to.equal('kept');
+        });
+
+        it('should not show a badge outside of debug mode', () => {
+            activityHandler.processNode(node);
+
+            expect(node.querySelector('.filter-debug-badge')).to.be.null;
+        });
+    });
 });
\ No newline at end of file
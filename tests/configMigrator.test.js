@@ -0,0 +1,51 @@
+const { expect } = require('chai');
+const { ConfigMigrator } = require('../src/activityFeedFilter.user');
+
+describe('ConfigMigrator', () => {
+    let migrator;
+
+    beforeEach(() => {
+        migrator = new ConfigMigrator();
+    });
+
+    it('should move flat pre-1.8 keys into their sections', () => {
+        const migrated = migrator.migrate({
+            uncommented: true,
+            containsStrings: ['A'],
+            targetLoadCount: 5,
+            home: false,
+            runOn: { social: false },
+        });
+
+        expect(migrated).to.deep.equal({
+            remove: { uncommented: true, containsStrings: ['A'] },
+            options: { targetLoadCount: 5 },
+            runOn: { social: false, home: false },
+            version: 2,
+        });
+        expect(migrator.applied).to.have.lengthOf(1);
+        expect(migrator.applied[0]).to.match(/^1 -> 2/);
+    });
+
+    it('should not modify the original config', () => {
+        const original = { unliked: true };
+
+        migrator.migrate(original);
+
+        expect(original).to.deep.equal({ unliked: true });
+    });
+
+    it('should treat unversioned configs without flat keys as current', () => {
+        const config = { remove: { images: true } };
+
+        expect(migrator.migrate(config)).to.equal(config);
+        expect(migrator.applied).to.be.empty;
+    });
+
+    it('should leave configs from newer versions untouched', () => {
+        const config = { version: 99, remove: { images: true } };
+
+        expect(migrator.migrate(config)).to.equal(config);
+        expect(migrator.applied).to.be.empty;
+    });
+});
@@ -0,0 +1,101 @@
+const sinon = require('sinon');
+const { expect } = require('chai');
+const { ConfigStorage } = require('../src/activityFeedFilter.user');
+const { JSDOM } = require('jsdom');
+
+const jsdom = new JSDOM('<!doctype html><html lang="en"><body></body></html>', { url: 'https://anilist.co/home' });
+
+describe('ConfigStorage', () => {
+    const KEY = 'test.config';
+    let storage;
+
+    const defaults = {
+        remove: { images: false, unliked: false, containsStrings: [] },
+        options: { targetLoadCount: 2, caseSensitive: false },
+        runOn: { home: true, social: true },
+    };
+
+    beforeEach(() => {
+        global.localStorage = jsdom.window.localStorage;
+        localStorage.clear();
+        storage = new ConfigStorage(defaults, KEY);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+        delete global.localStorage;
+        delete global.GM_getValue;
+        delete global.GM_setValue;
+    });
+
+    it('should return a copy of the defaults when nothing is saved', () => {
+        const loaded = storage.load();
+
+        expect(loaded).to.deep.equal(defaults);
+        expect(loaded).to.not.equal(defaults);
+    });
+
+    it('should deep-merge the saved config over the defaults', () => {
+        localStorage.setItem(KEY, JSON.stringify({ remove: { images: true, containsStrings: ['A'] } }));
+
+        const loaded = storage.load();
+
+        expect(loaded.remove).to.deep.equal({ images: true, unliked: false, containsStrings: ['A'] });
+        expect(loaded.options).to.deep.equal(defaults.options);
+    });
+
+    it('should replace arrays instead of merging them', () => {
+        const withStrings = new ConfigStorage({ remove: { containsStrings: ['A', 'B'] } }, KEY);
+        localStorage.setItem(KEY, JSON.stringify({ remove: { containsStrings: ['C'] } }));
+
+        expect(withStrings.load().remove.containsStrings).to.deep.equal(['C']);
+    });
+
+    it('should migrate an old saved config and save the result', () => {
+        localStorage.setItem(KEY, JSON.stringify({ images: true, targetLoadCount: 4 }));
+
+        const loaded = storage.load();
+
+        expect(loaded.remove.images).to.be.true;
+        expect(loaded.options.targetLoadCount).to.equal(4);
+        expect(loaded).to.not.have.property('images');
+        expect(storage.migrations).to.have.lengthOf(1);
+        expect(JSON.parse(localStorage.getItem(KEY)).version).to.equal(2);
+    });
+
+    it('should fall back to the defaults when the saved config is not valid JSON', () => {
+        const errorStub = sinon.stub(console, 'error');
+        localStorage.setItem(KEY, '{ invalid');
+
+        expect(storage.load()).to.deep.equal(defaults);
+        expect(errorStub.calledOnce).to.be.true;
+    });
+
+    ['5', '"config"', '[]', 'true'].forEach(value => {
+        it(`should fall back to the defaults when the saved config is ${value} instead of an object`, () => {
+            const errorStub = sinon.stub(console, 'error');
+            localStorage.setItem(KEY, value);
+
+            expect(storage.load()).to.deep.equal(defaults);
+            expect(errorStub.calledOnce).to.be.true;
+        });
+    });
+
+    it('should save to localStorage with the schema version when GM storage is not granted', () => {
+        storage.save({ remove: { images: true } });
+
+        expect(JSON.parse(localStorage.getItem(KEY))).to.deep.equal({ remove: { images: true }, version: 2 });
+    });
+
+    it('should prefer GM storage when it is granted', () => {
+        global.GM_getValue = sinon.stub().returns(JSON.stringify({ options: { targetLoadCount: 5 } }));
+        global.GM_setValue = sinon.spy();
+
+        expect(storage.load().options.targetLoadCount).to.equal(5);
+
+        storage.save({ options: { targetLoadCount: 3 } });
+
+        expect(global.GM_setValue.calledOnceWith(KEY, JSON.stringify({ options: { targetLoadCount: 3 }, version: 2 }))).to.be.true;
+        expect(localStorage.getItem(KEY)).to.be.null;
+    });
+});
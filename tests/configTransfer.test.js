@@ -0,0 +1,82 @@
+const { expect } = require('chai');
+const { ConfigTransfer } = require('../src/activityFeedFilter.user');
+
+describe('ConfigTransfer', () => {
+    let transfer;
+
+    const createConfig = () => ({
+        remove: { uncommented: false, unliked: false, text: false, images: false, videos: false, containsStrings: [], types: [], users: [], minLikes: 0, minReplies: 0, media: [] },
+        keep: { users: [] },
+        options: { targetLoadCount: 2, maxAgeHours: 0, maxLoadClicks: 0, maxScanned: 0, caseSensitive: false, reverseConditions: false, linkedConditions: [], filterExpression: '', removalMode: 'remove', debug: false, useApiData: true, selectors: {}, hotkeys: { pause: 'Alt+P' }, subscriptions: [] },
+        runOn: { home: true, social: true, profile: false, guestHome: false },
+    });
+
+    beforeEach(() => {
+        transfer = new ConfigTransfer(createConfig(), createConfig());
+    });
+
+    it('should export the config with the schema version', () => {
+        const exported = JSON.parse(transfer.exportConfig());
+
+        expect(exported.version).to.equal(2);
+        expect(exported.remove).to.deep.equal(createConfig().remove);
+    });
+
+    it('should import its own export without changes', () => {
+        const imported = transfer.importConfig(transfer.exportConfig());
+
+        expect(transfer.errors).to.be.empty;
+        expect(imported.changes).to.be.empty;
+    });
+
+    it('should merge a pasted snippet over the current config and list the changes', () => {
+        const imported = transfer.importConfig('{ "remove": { "images": true, "containsStrings": ["spoiler"] }, "options": { "hotkeys": { "pause": "Alt+Q" } } }');
+
+        expect(imported.config.remove.images).to.be.true;
+        expect(imported.config.remove.videos).to.be.false;
+        expect(imported.config.options.targetLoadCount).to.equal(2);
+        expect(imported.changes).to.deep.equal([
+            'remove.images: false -> true',
+            'remove.containsStrings: [] -> ["spoiler"]',
+            'options.hotkeys.pause: "Alt+P" -> "Alt+Q"',
+        ]);
+    });
+
+    it('should not modify the current config', () => {
+        transfer.importConfig('{ "remove": { "images": true } }');
+
+        expect(transfer.current).to.deep.equal(createConfig());
+    });
+
+    it('should migrate exports from older versions', () => {
+        const imported = transfer.importConfig('{ "unliked": true, "targetLoadCount": 4 }');
+
+        expect(transfer.migrations).to.have.lengthOf(1);
+        expect(imported.config.remove.unliked).to.be.true;
+        expect(imported.config.options.targetLoadCount).to.equal(4);
+        expect(imported.changes).to.deep.equal(['remove.unliked: false -> true', 'options.targetLoadCount: 2 -> 4']);
+    });
+
+    const invalidImports = [
+        { text: '{ remove: {} }', error: /^Import should be valid JSON: / },
+        { text: '["images"]', error: /^Import should be a JSON object$/ },
+        { text: '{ "remove": null }', error: /^remove should be an object$/ },
+        { text: '{ "version": 99 }', error: /^version 99 is newer than the supported version 2/ },
+        { text: '{ "options": { "targetLoadCount": 0 } }', error: /^options.targetLoadCount should be a positive non-zero integer$/ },
+        { text: '{ "options": { "hotkeys": { "pause": "Alt+" } } }', error: /^options.hotkeys.pause should be a key combination/ },
+        { text: '{ "remove": { "imagse": true } }', error: /^remove.imagse is not a known option, did you mean 'remove.images'\?$/ },
+        { text: '{ "remvoe": { "images": true } }', error: /^remvoe is not a known option, did you mean 'remove'\?$/ },
+    ];
+
+    invalidImports.forEach(({ text, error }) => {
+        it(`should reject ${text}`, () => {
+            expect(transfer.importConfig(text)).to.be.null;
+            expect(transfer.errors).to.have.lengthOf(1);
+            expect(transfer.errors[0]).to.match(error);
+        });
+    });
+
+    it('should report keys that are added or removed', () => {
+        expect(transfer.diff({ a: { b: 1 } }, { a: { c: 2 } })).to.deep.equal(['a.b: 1 -> unset', 'a.c: unset -> 2']);
+    });
+});
@@ -1,4 +1,6 @@
+const sinon = require('sinon');
 const { expect } = require('chai');
+const { JSDOM } = require('jsdom');
 const { ConfigValidator } = require('../src/activityFeedFilter.user');
 const merge = require('lodash.merge');
 
@@ -11,12 +13,30 @@ describe('ConfigValidator', () => {
             images: false,
             videos: false,
             containsStrings: [],
+            types: [],
+            users: [],
+            minLikes: 0,
+            minReplies: 0,
+            media: [],
+        },
+        keep: {
+            users: [],
         },
         options: {
             targetLoadCount: 10,
+            maxAgeHours: 0,
+            maxLoadClicks: 0,
+            maxScanned: 0,
             caseSensitive: false,
             linkedConditions: [],
             reverseConditions: false,
+            filterExpression: '',
+            removalMode: 'remove',
+            debug: false,
+            useApiData: true,
+            selectors: {},
+            hotkeys: { pause: 'Alt+P', reverse: 'Alt+R', cancel: 'Alt+C', settings: 'Alt+S' },
+            subscriptions: [],
         },
         runOn: {
             home: false,
@@ -37,11 +57,13 @@ describe('ConfigValidator', () => {
 
     const validConfig = generateMergedConfig({
         remove: {
-            containsStrings: ['A'],
+            containsStrings: ['A', '/^B\\d+$/i', { regex: 'C', flags: 'g' }, [{ regex: 'D' }, 'E']],
             notContainsStrings: [['A']],
+            media: [21, 'One Piece', '/^Naruto/i', { type: 'manga' }, { id: 1, title: 'A', type: 'anime' }],
         },
         options: {
-            linkedConditions: ['text'],
+            linkedConditions: ['text', ['types', 'images'], ['users', 'keepUsers']],
+            filterExpression: '(images AND NOT liked) OR contains("spoiler")',
         },
     });
 
@@ -66,8 +88,169 @@ describe('ConfigValidator', () => {
             }),
             errorMessage: /should be a positive non-zero integer/,
         },
+        {
+            config: generateMergedConfig({ remove: { containsStrings: ['A', '/(unclosed/'] } }),
+            errorMessage: /remove\.containsStrings\[1\] is an invalid regular expression/,
+        },
+        {
+            config: generateMergedConfig({ remove: { containsStrings: [['A', { regex: 'B', flags: 'x' }]] } }),
+            errorMessage: /remove\.containsStrings\[0\]\[1\] is an invalid regular expression/,
+        },
+        {
+            config: generateMergedConfig({ remove: { containsStrings: [123] } }),
+            errorMessage: /remove\.containsStrings\[0\] should be a string/,
+        },
+        {
+            config: generateMergedConfig({ remove: { types: ['watched', 'unknown'] } }),
+            errorMessage: /remove\.types should only contain the following strings/,
+        },
+        {
+            config: generateMergedConfig({ keep: { users: ['A', 1] } }),
+            errorMessage: /keep\.users should only contain strings/,
+        },
+        {
+            config: generateMergedConfig({ remove: { minLikes: -1 } }),
+            errorMessage: /remove\.minLikes should be a non-negative integer/,
+        },
+        {
+            config: generateMergedConfig({ remove: { minReplies: 1.5 } }),
+            errorMessage: /remove\.minReplies should be a non-negative integer/,
+        },
+        {
+            config: generateMergedConfig({ options: { filterExpression: 'images AND (videos OR' } }),
+            errorMessage: /options\.filterExpression has a syntax error: Unexpected end of expression at position 22/,
+        },
+        {
+            config: generateMergedConfig({ options: { filterExpression: 'contains("/(/")' } }),
+            errorMessage: /options\.filterExpression has a syntax error: Invalid regular expression: \/\(\/: Unterminated group at position 10/,
+        },
+        {
+            config: generateMergedConfig({ options: { filterExpression: 42 } }),
+            errorMessage: /options\.filterExpression should be a string/,
+        },
+        {
+            config: generateMergedConfig({ options: { removalMode: 'delete' } }),
+            errorMessage: /options\.removalMode should be one of the following strings: remove, hide, collapse/,
+        },
+        {
+            config: generateMergedConfig({ remove: { media: [21, 0] } }),
+            errorMessage: /remove\.media\[1\] should be a positive integer/,
+        },
+        {
+            config: generateMergedConfig({ remove: { media: [{ type: 'novel' }] } }),
+            errorMessage: /remove\.media\[0\]\.type should be 'anime' or 'manga'/,
+        },
+        {
+            config: generateMergedConfig({ remove: { media: [{ title: '/(/' }] } }),
+            errorMessage: /remove\.media\[0\]\.title is an invalid regular expression/,
+        },
+        {
+            config: generateMergedConfig({ remove: { media: [{ name: 'A' }] } }),
+            errorMessage: /remove\.media\[0\]\.name is not a valid media rule field/,
+        },
+        {
+            config: generateMergedConfig({ remove: { media: [{}] } }),
+            errorMessage: /remove\.media\[0\] should be an AniList ID, a title or a \{ id, title, type \} object/,
+        },
+        {
+            config: generateMergedConfig({ options: { selectors: { DIV: { LIKES: 'div.likes' } } } }),
+            errorMessage: null,
+        },
+        {
+            config: generateMergedConfig({ options: { maxAgeHours: -1 } }),
+            errorMessage: /options\.maxAgeHours should be a non-negative integer/,
+        },
+        {
+            config: generateMergedConfig({ options: { maxLoadClicks: 1.5, maxScanned: '20' } }),
+            errorMessage: /options\.maxLoadClicks should be a non-negative integer, options\.maxScanned should be a non-negative integer/,
+        },
+        {
+            config: generateMergedConfig({ options: { hotkeys: { pause: '', settings: 'ctrl + shift + s' } } }),
+            errorMessage: null,
+        },
+        {
+            config: generateMergedConfig({ options: { hotkeys: { hide: 'Alt+H' } } }),
+            errorMessage: /options\.hotkeys\.hide should be one of the following actions: pause, reverse, cancel, settings/,
+        },
+        {
+            config: generateMergedConfig({ options: { hotkeys: { pause: 'Alt+' } } }),
+            errorMessage: /options\.hotkeys\.pause should be a key combination such as 'Alt\+P'/,
+        },
+        {
+            config: generateMergedConfig({ options: { hotkeys: { reverse: 82 } } }),
+            errorMessage: /options\.hotkeys\.reverse should be a string/,
+        },
+        {
+            config: generateMergedConfig({ options: { subscriptions: [{ name: 'Spoilers', source: 'contains: spoiler\nbad line', disabled: ['contains: spoiler'] }, { name: 'Users', source: {}, enabled: false }] } }),
+            errorMessage: null,
+        },
+        {
+            config: generateMergedConfig({ options: { subscriptions: 'contains: spoiler' } }),
+            errorMessage: /options\.subscriptions should be an array/,
+        },
+        {
+            config: generateMergedConfig({ options: { subscriptions: ['contains: spoiler'] } }),
+            errorMessage: /options\.subscriptions\[0\] should be a \{ name, source, enabled, disabled \} object/,
+        },
+        {
+            config: generateMergedConfig({ options: { subscriptions: [{ name: '', source: 5, enabled: 'yes', disabled: 'contains: spoiler' }] } }),
+            errorMessage: /options\.subscriptions\[0\]\.name should be a non-empty string, options\.subscriptions\[0\]\.source should be a text or JSON filter list, options\.subscriptions\[0\]\.enabled should be a boolean, options\.subscriptions\[0\]\.disabled should be an array of strings/,
+        },
+        {
+            config: generateMergedConfig({ options: { selectors: 'div.likes' } }),
+            errorMessage: /options\.selectors should be an object/,
+        },
+        {
+            config: generateMergedConfig({ options: { selectors: { BUTTONS: {} } } }),
+            errorMessage: /options\.selectors\.BUTTONS should be one of the following groups: DIV, SPAN, ACTIVITY, LINK, CLASS/,
+        },
+        {
+            config: generateMergedConfig({ options: { selectors: { DIV: { LIKE: 'div.likes' } } } }),
+            errorMessage: /options\.selectors\.DIV\.LIKE should be one of the following selectors: BUTTON, ACTIVITY/,
+        },
+        {
+            config: generateMergedConfig({ options: { selectors: { LINK: { USER: ' ' } } } }),
+            errorMessage: /options\.selectors\.LINK\.USER should be a non-empty string/,
+        },
+        {
+            config: generateMergedConfig({ runOn: { home: 'yes' } }),
+            errorMessage: /runOn\.home should be a boolean or a profile object/,
+        },
+        {
+            config: generateMergedConfig({ runOn: { social: { remove: { images: 'yes' } } } }),
+            errorMessage: /runOn\.social\.remove\.images should be a boolean/,
+        },
+        {
+            config: generateMergedConfig({ runOn: { profile: { runOn: { home: true } } } }),
+            errorMessage: /runOn\.profile should only contain the following sections: remove, keep, options/,
+        },
+        {
+            config: generateMergedConfig({ version: 99 }),
+            errorMessage: /version 99 is newer than the supported version/,
+        },
+        {
+            config: generateMergedConfig({ version: 'invalid' }),
+            errorMessage: /version should be a positive integer/,
+        },
     ];
 
+    it('should accept profiles and not repeat errors of the global config in them', () => {
+        const validator = new ConfigValidator(generateMergedConfig({
+            remove: { unliked: 'invalid' },
+            runOn: { home: { remove: { images: true }, options: { targetLoadCount: 5 } } },
+        }));
+
+        expect(() => validator.validate()).to.throw();
+        expect(validator.errors).to.deep.equal(['remove.unliked should be a boolean']);
+    });
+
+    it('should record the path of every error separately from its message', () => {
+        const validator = new ConfigValidator(generateMergedConfig({ runOn: { social: { remove: { images: 'yes' } } } }));
+
+        expect(() => validator.validate()).to.throw();
+        expect(validator.issues).to.deep.equal([{ path: 'runOn.social.remove.images', message: 'should be a boolean' }]);
+    });
+
     testCases.forEach(({ config, errorMessage }) => {
         if (errorMessage) {
             validateAndCheckErrors(config, errorMessage);
@@ -78,4 +261,144 @@ describe('ConfigValidator', () => {
             });
         }
     });
-});
\ No newline at end of file
+
+    it('should report selector overrides that are not valid CSS selectors or class names', () => {
+        const previousDocument = global.document;
+        global.document = new JSDOM('').window.document;
+
+        try {
+            const validator = new ConfigValidator(generateMergedConfig({
+                options: { selectors: { DIV: { LIKES: 'div.likes[' }, TIME: { DATETIME: 'time[datetime]' }, ACTIVITY: { TEXT: 'activity text' } } },
+            }));
+
+            expect(() => validator.validate()).to.throw('options.selectors.DIV.LIKES should be a valid CSS selector, options.selectors.ACTIVITY.TEXT should be a valid class name');
+        } finally {
+            global.document = previousDocument;
+        }
+    });
+
+    describe('repair', () => {
+        const repair = (configOverrides) => {
+            const config = generateMergedConfig(configOverrides);
+            const validator = new ConfigValidator(config);
+            return { config, notices: validator.repair(defaultConfig) };
+        };
+
+        it('should leave a valid configuration untouched', () => {
+            const { config, notices } = repair({ remove: { images: true } });
+
+            expect(notices).to.be.empty;
+            expect(config).to.deep.equal(generateMergedConfig({ remove: { images: true } }));
+        });
+
+        it('should drop only the invalid entries of a list', () => {
+            const { config, notices } = repair({ remove: { containsStrings: ['spoiler', '/(/', ['a', 5], 'leak'], media: [21, { type: 'movie' }] } });
+
+            expect(config.remove.containsStrings).to.deep.equal(['spoiler', 'leak']);
+            expect(config.remove.media).to.deep.equal([21]);
+            expect(notices).to.have.lengthOf(3);
+            expect(notices[0]).to.match(/^remove\.containsStrings\[1\] is an invalid regular expression: .* \(ignored\)$/);
+            expect(notices[1]).to.equal('remove.containsStrings[2][1] should be a string, a \'/pattern/flags\' string or a { regex, flags } object (ignored)');
+            expect(notices[2]).to.equal('remove.media[1].type should be \'anime\' or \'manga\' (ignored)');
+        });
+
+        it('should reset invalid values to their defaults and keep the rest', () => {
+            const { config, notices } = repair({
+                remove: { images: true, unliked: 'yes' },
+                options: { targetLoadCount: 0, removalMode: 'delete', hotkeys: { pause: 'Alt+', hide: 'Alt+H' } },
+            });
+
+            expect(config.remove.images).to.be.true;
+            expect(config.remove.unliked).to.be.false;
+            expect(config.options.targetLoadCount).to.equal(10);
+            expect(config.options.removalMode).to.equal('remove');
+            expect(config.options.hotkeys).to.deep.equal({ pause: 'Alt+P', reverse: 'Alt+R', cancel: 'Alt+C', settings: 'Alt+S' });
+            expect(notices).to.include.members([
+                'options.targetLoadCount should be a positive non-zero integer (using the default 10)',
+                'remove.unliked should be a boolean (using the default false)',
+                'options.hotkeys.pause should be a key combination such as \'Alt+P\' (using the default "Alt+P")',
+                'options.hotkeys.hide should be one of the following actions: pause, reverse, cancel, settings (ignored)',
+            ]);
+        });
+
+        it('should reset linked conditions that are not an array', () => {
+            const { config, notices } = repair({ options: { linkedConditions: 'images' } });
+
+            expect(config.options.linkedConditions).to.deep.equal([]);
+            expect(notices).to.deep.equal(['options.linkedConditions should be an array (using the default [])']);
+        });
+
+        it('should drop invalid profile values so the global value applies', () => {
+            const { config, notices } = repair({ runOn: { home: { remove: { images: 'yes', unliked: true } }, social: 'yes' } });
+
+            expect(config.runOn.home).to.deep.equal({ remove: { unliked: true } });
+            expect(config.runOn.social).to.be.false;
+            expect(notices).to.deep.equal([
+                'runOn.home.remove.images should be a boolean (ignored)',
+                'runOn.social should be a boolean or a profile object (using the default false)',
+            ]);
+        });
+
+        it('should drop profile sections that are not objects', () => {
+            const { config, notices } = repair({ runOn: { home: { remove: null, options: { targetLoadCount: 5 } } } });
+
+            expect(config.runOn.home).to.deep.equal({ options: { targetLoadCount: 5 } });
+            expect(notices).to.deep.equal(['runOn.home.remove should be an object (ignored)']);
+        });
+
+        it('should flag unknown keys inside profiles', () => {
+            const { config, notices } = repair({ runOn: { home: { remove: { imagez: true }, options: { reverseCondition: true } } } });
+
+            expect(config.runOn.home).to.deep.equal({ remove: {}, options: {} });
+            expect(notices).to.deep.equal([
+                'runOn.home.remove.imagez is not a known option, did you mean \'runOn.home.remove.images\'? (ignored)',
+                'runOn.home.options.reverseCondition is not a known option, did you mean \'runOn.home.options.reverseConditions\'? (ignored)',
+            ]);
+        });
+
+        it('should drop only the unknown sections of a profile', () => {
+            const { config, notices } = repair({ runOn: { profile: { remov: { images: true }, options: { targetLoadCount: 5 } } } });
+
+            expect(config.runOn.profile).to.deep.equal({ options: { targetLoadCount: 5 } });
+            expect(notices).to.deep.equal(['runOn.profile.remov is not a known option, did you mean \'runOn.profile.remove\'? (ignored)']);
+        });
+
+        it('should flag unknown keys with suggestions and drop them', () => {
+            const config = generateMergedConfig({ remove: { imagse: true, reverseConditions: true }, options: { colour: 'red' } });
+            config.remvoe = {};
+
+            const notices = new ConfigValidator(config).repair(defaultConfig);
+
+            expect(notices).to.deep.equal([
+                'remvoe is not a known option, did you mean \'remove\'? (ignored)',
+                'remove.imagse is not a known option, did you mean \'remove.images\'? (ignored)',
+                'remove.reverseConditions is not a known option, did you mean \'options.reverseConditions\'? (ignored)',
+                'options.colour is not a known option (ignored)',
+            ]);
+            expect(config).to.deep.equal(defaultConfig);
+        });
+
+        it('should replace a section that is not an object with its defaults', () => {
+            const config = generateMergedConfig({});
+            config.keep = ['someone'];
+
+            expect(new ConfigValidator(config).repair(defaultConfig)).to.deep.equal(['keep should be an object (using the defaults)']);
+            expect(config.keep).to.deep.equal(defaultConfig.keep);
+        });
+
+        it('should still disable the script for configs from a newer version', () => {
+            expect(() => repair({ version: 99, remove: { unliked: 'yes' } })).to.throw(/version 99 is newer than the supported version/);
+        });
+    });
+
+    it('should report the migrations that ran', () => {
+        const migrations = ['1 -> 2: moved flat pre-1.8 keys into remove, options and runOn'];
+        const infoStub = sinon.stub(console, 'info');
+
+        new ConfigValidator(generateMergedConfig({ version: 2 }), migrations).validate();
+
+        expect(infoStub.calledOnce).to.be.true;
+        expect(infoStub.firstCall.args[0]).to.include(migrations[0]);
+        infoStub.restore();
+    });
+});
@@ -0,0 +1,76 @@
+const { expect } = require('chai');
+const { FilterExpression } = require('../src/activityFeedFilter.user');
+
+describe('FilterExpression', () => {
+    const createHandler = (results, { strings = [], type = null, author = null } = {}) => ({
+        CONDITIONS_MAP: new Map(Object.entries(results).map(([name, result]) => [name, () => result])),
+        matchesStrings: (node, args) => args.some(arg => strings.includes(arg)),
+        getActivityType: () => type,
+        matchesUser: (node, args) => args.includes(author),
+    });
+
+    describe('parsing', () => {
+        const syntaxErrors = [
+            { source: 'images AND', error: 'Unexpected end of expression at position 11' },
+            { source: '(images OR videos', error: 'Expected \')\' but found \'end of expression\' at position 18' },
+            { source: 'images videos', error: 'Expected end of expression but found \'videos\' at position 8' },
+            { source: 'images OR pictures', error: 'Unknown condition \'pictures\' at position 11' },
+            { source: 'has("A")', error: 'Unknown function \'has\' at position 1' },
+            { source: 'contains(images)', error: 'Expected a quoted string but found \'images\' at position 10' },
+            { source: 'contains("A)', error: 'Unterminated string at position 10' },
+            { source: 'images & videos', error: 'Unexpected character \'&\' at position 8' },
+            { source: 'NOT )', error: 'Unexpected \')\' at position 5' },
+            { source: 'contains("a", "/(/")', error: 'Invalid regular expression: /(/: Unterminated group at position 15' },
+            { source: 'type("planing")', error: 'Unknown activity type \'planing\', did you mean \'planning\'? at position 6' },
+            { source: 'type("status")', error: 'Unknown activity type \'status\', expected one of: watched, read' },
+        ];
+
+        syntaxErrors.forEach(({ source, error }) => {
+            it(`should report "${error}" for: ${source}`, () => {
+                expect(() => new FilterExpression(source)).to.throw(error);
+            });
+        });
+
+        it('should accept keywords and conditions in any case', () => {
+            expect(() => new FilterExpression('Images and not LIKED or ContainsStrings')).to.not.throw();
+        });
+
+        it('should give AND precedence over OR', () => {
+            const { ast } = new FilterExpression('images OR videos AND text');
+
+            expect(ast.type).to.equal('or');
+            expect(ast.right.type).to.equal('and');
+        });
+
+        it('should read escaped quotes in strings', () => {
+            const { ast } = new FilterExpression('contains("say \\"hi\\"", \'it\\\'s\')');
+
+            expect(ast.args).to.deep.equal(['say "hi"', 'it\'s']);
+        });
+    });
+
+    describe('evaluation', () => {
+        const cases = [
+            { source: 'images', results: { images: true }, expected: true },
+            { source: 'NOT images', results: { images: true }, expected: false },
+            { source: 'images AND unliked', results: { images: true, unliked: false }, expected: false },
+            { source: 'images AND NOT liked', results: { images: true, unliked: true }, expected: true },
+            { source: 'images OR videos', results: { images: false, videos: true }, expected: true },
+            { source: 'NOT (images OR videos)', results: { images: false, videos: false }, expected: true },
+            { source: 'commented', results: { uncommented: true }, expected: false },
+            { source: '(images AND NOT liked) OR contains("spoiler")', results: { images: false, unliked: true }, context: { strings: ['spoiler'] }, expected: true },
+            { source: 'contains("a", "b")', results: {}, context: { strings: ['b'] }, expected: true },
+            { source: 'type("planning", "paused")', results: {}, context: { type: 'paused' }, expected: true },
+            { source: 'type("planning")', results: {}, context: { type: 'watched' }, expected: false },
+            { source: 'user("someone") AND NOT images', results: { images: false }, context: { author: 'someone' }, expected: true },
+        ];
+
+        cases.forEach(({ source, results, context, expected }) => {
+            it(`should evaluate ${source} to ${expected}`, () => {
+                const expression = new FilterExpression(source);
+
+                expect(expression.evaluate(null, createHandler(results, context))).to.equal(expected);
+            });
+        });
+    });
+});
@@ -0,0 +1,115 @@
+const sinon = require('sinon');
+const { expect } = require('chai');
+const { FilterStats } = require('../src/activityFeedFilter.user');
+const { JSDOM } = require('jsdom');
+
+const jsdom = new JSDOM('<!doctype html><html lang="en"><body></body></html>', { url: 'https://anilist.co/home' });
+
+describe('FilterStats', () => {
+    const KEY = 'test.stats';
+    let stats;
+    let clock;
+
+    beforeEach(() => {
+        global.localStorage = jsdom.window.localStorage;
+        localStorage.clear();
+        clock = sinon.useFakeTimers();
+        stats = new FilterStats(KEY);
+    });
+
+    afterEach(() => {
+        clock.restore();
+        sinon.restore();
+        delete global.localStorage;
+        delete global.GM_getValue;
+        delete global.GM_setValue;
+    });
+
+    it('should count activities per verdict, feed and condition', () => {
+        stats.record('removed', 'home', ['images', 'unliked']);
+        stats.record('kept', 'home', []);
+        stats.record('removed', 'social', ['images']);
+
+        expect(stats.session).to.deep.equal({
+            seen: 3,
+            removed: 2,
+            kept: 1,
+            loadMoreClicks: 0,
+            feeds: {
+                home: { seen: 2, removed: 1, kept: 1 },
+                social: { seen: 1, removed: 1, kept: 0 },
+            },
+            conditions: { images: 2, unliked: 1 },
+        });
+        expect(stats.allTime).to.deep.equal(stats.session);
+    });
+
+    it('should count automatic load more clicks', () => {
+        stats.recordLoadMore();
+        stats.recordLoadMore();
+
+        expect(stats.session.loadMoreClicks).to.equal(2);
+        expect(stats.allTime.loadMoreClicks).to.equal(2);
+    });
+
+    it('should persist all-time totals but start a fresh session', () => {
+        stats.record('removed', 'home', ['videos']);
+        stats.recordLoadMore();
+        clock.tick(stats.SAVE_DELAY);
+
+        const next = new FilterStats(KEY);
+
+        expect(next.session.seen).to.equal(0);
+        expect(next.allTime).to.include({ seen: 1, removed: 1, loadMoreClicks: 1 });
+        expect(next.allTime.conditions).to.deep.equal({ videos: 1 });
+    });
+
+    it('should batch the writes of activities recorded close together', () => {
+        stats.record('removed', 'home', ['images']);
+        stats.record('kept', 'home', []);
+        stats.recordLoadMore();
+        expect(localStorage.getItem(KEY)).to.be.null;
+
+        clock.tick(stats.SAVE_DELAY);
+        expect(JSON.parse(localStorage.getItem(KEY))).to.include({ seen: 2, loadMoreClicks: 1 });
+    });
+
+    it('should write pending totals right away when flushed', () => {
+        stats.record('kept', 'home', []);
+
+        stats.flush();
+
+        expect(JSON.parse(localStorage.getItem(KEY)).seen).to.equal(1);
+        expect(stats.saveTimer).to.be.null;
+    });
+
+    it('should reset session and all-time totals', () => {
+        stats.record('kept', 'home', []);
+
+        stats.reset();
+
+        expect(stats.session.seen).to.equal(0);
+        expect(new FilterStats(KEY).allTime).to.deep.equal(stats.createTotals());
+    });
+
+    it('should start from zero when the saved totals are not valid JSON', () => {
+        const errorStub = sinon.stub(console, 'error');
+        localStorage.setItem(KEY, '{ invalid');
+
+        expect(new FilterStats(KEY).allTime.seen).to.equal(0);
+        expect(errorStub.calledOnce).to.be.true;
+    });
+
+    it('should prefer GM storage when it is granted', () => {
+        global.GM_getValue = sinon.stub().returns(JSON.stringify({ seen: 5 }));
+        global.GM_setValue = sinon.spy();
+
+        const gmStats = new FilterStats(KEY);
+        gmStats.recordLoadMore();
+        gmStats.flush();
+
+        expect(gmStats.allTime.seen).to.equal(5);
+        expect(global.GM_setValue.calledOnceWith(KEY, sinon.match('"loadMoreClicks":1'))).to.be.true;
+        expect(localStorage.getItem(KEY)).to.be.null;
+    });
+});
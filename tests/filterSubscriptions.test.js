@@ -0,0 +1,119 @@
+const { expect } = require('chai');
+const { FilterSubscriptions } = require('../src/activityFeedFilter.user');
+
+describe('FilterSubscriptions', () => {
+    const TEXT_LIST = [
+        '! Title: Shared spoilers',
+        '# Maintained by the team',
+        '',
+        'contains: spoiler',
+        'contains: /ep(isode)? \\d+/i',
+        'user: SpoilerBot',
+        'keep-user: Friend',
+        'media: 21',
+        'media: One Piece',
+        'media: { "type": "manga" }',
+    ].join('\n');
+
+    const JSON_LIST = JSON.stringify({
+        remove: { containsStrings: ['leak', ['raw', 'chapter']], users: ['LeakBot'], media: [{ id: 1, type: 'anime' }] },
+        keep: { users: ['Friend'] },
+    });
+
+    const createConfig = () => ({
+        remove: { containsStrings: ['spoiler'], users: [], media: [] },
+        keep: { users: [] },
+        options: { subscriptions: [] },
+    });
+
+    const ruleIds = (subscriptions) => subscriptions.rules.map(rule => rule.id);
+
+    it('should read rules from a text list and skip comments and blank lines', () => {
+        const subscriptions = new FilterSubscriptions([{ name: 'Spoilers', source: TEXT_LIST }]);
+
+        expect(subscriptions.problems).to.be.empty;
+        expect(ruleIds(subscriptions)).to.deep.equal([
+            'contains: spoiler',
+            'contains: /ep(isode)? \\d+/i',
+            'user: SpoilerBot',
+            'keep-user: Friend',
+            'media: 21',
+            'media: One Piece',
+            'media: {"type":"manga"}',
+        ]);
+        expect(subscriptions.rules[4].value).to.equal(21);
+    });
+
+    it('should read rules from a JSON list given as text or as an object', () => {
+        const fromText = new FilterSubscriptions([{ name: 'Leaks', source: JSON_LIST }]);
+        const fromObject = new FilterSubscriptions([{ name: 'Leaks', source: JSON.parse(JSON_LIST) }]);
+
+        expect(fromText.problems).to.be.empty;
+        expect(ruleIds(fromText)).to.deep.equal([
+            'contains: leak',
+            'contains: ["raw","chapter"]',
+            'user: LeakBot',
+            'keep-user: Friend',
+            'media: {"id":1,"type":"anime"}',
+        ]);
+        expect(fromObject.rules).to.deep.equal(fromText.rules);
+    });
+
+    it('should report bad lines and keep the valid ones', () => {
+        const subscriptions = new FilterSubscriptions([{
+            name: 'Spoilers',
+            source: 'contains: spoiler\njust some text\nhashtag: anime\ncontains: /(/\nmedia: { "type": "movie" }\nmedia: {"id": }\nuser: SpoilerBot',
+        }]);
+
+        expect(ruleIds(subscriptions)).to.deep.equal(['contains: spoiler', 'user: SpoilerBot']);
+        expect(subscriptions.problems).to.have.lengthOf(5);
+        expect(subscriptions.problems).to.include.members([
+            'Spoilers line 2 should be a \'type: value\' rule',
+            'Spoilers line 3 has an unknown rule type \'hashtag\', use contains, user, keep-user, media',
+            'Spoilers line 5.type should be \'anime\' or \'manga\'',
+        ]);
+        expect(subscriptions.problems.some(problem => /^Spoilers line 4 is an invalid regular expression/.test(problem))).to.be.true;
+        expect(subscriptions.problems.some(problem => /^Spoilers line 6 should be valid JSON/.test(problem))).to.be.true;
+    });
+
+    it('should report invalid JSON lists and entries', () => {
+        const subscriptions = new FilterSubscriptions([
+            { name: 'Broken', source: '{ "remove": ' },
+            { name: 'Mixed', source: { remove: { users: ['LeakBot', 5], media: 'One Piece' } } },
+        ]);
+
+        expect(ruleIds(subscriptions)).to.deep.equal(['user: LeakBot']);
+        expect(subscriptions.problems[0]).to.match(/^Broken should be valid JSON/);
+        expect(subscriptions.problems.slice(1)).to.deep.equal([
+            'Mixed remove.media should be an array',
+            'Mixed remove.users[1] should be a username',
+        ]);
+    });
+
+    it('should skip disabled entries and lists', () => {
+        const subscriptions = new FilterSubscriptions([
+            { name: 'Spoilers', source: TEXT_LIST, disabled: ['contains: spoiler', 'media: 21'] },
+            { name: 'Leaks', source: JSON_LIST, enabled: false },
+        ]);
+
+        expect(ruleIds(subscriptions)).to.not.include.members(['contains: spoiler', 'media: 21', 'contains: leak']);
+        expect(subscriptions.rules).to.have.lengthOf(5);
+    });
+
+    it('should merge the rules with the local rules without duplicates', () => {
+        const config = createConfig();
+        const merged = new FilterSubscriptions([{ name: 'Spoilers', source: TEXT_LIST }]).apply(config);
+
+        expect(merged.remove.containsStrings).to.deep.equal(['spoiler', '/ep(isode)? \\d+/i']);
+        expect(merged.remove.users).to.deep.equal(['SpoilerBot']);
+        expect(merged.keep.users).to.deep.equal(['Friend']);
+        expect(merged.remove.media).to.deep.equal([21, 'One Piece', { type: 'manga' }]);
+        expect(config).to.deep.equal(createConfig());
+    });
+
+    it('should return the config itself when there are no rules', () => {
+        const config = createConfig();
+
+        expect(new FilterSubscriptions().apply(config)).to.equal(config);
+    });
+});
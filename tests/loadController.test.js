@@ -0,0 +1,130 @@
+const sinon = require('sinon');
+const { expect } = require('chai');
+const { LoadController } = require('../src/activityFeedFilter.user');
+
+describe('LoadController', () => {
+    let clock;
+    let uiHandler;
+    let shouldContinue;
+    let onComplete;
+    let loader;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers();
+        uiHandler = { clickLoadMore: sinon.spy(), triggerScroll: sinon.spy() };
+        shouldContinue = sinon.stub().returns(true);
+        onComplete = sinon.spy();
+        loader = new LoadController(uiHandler, shouldContinue, onComplete);
+    });
+
+    afterEach(() => {
+        loader.stop();
+        clock.restore();
+    });
+
+    it('should run a single loop no matter how often it is started', () => {
+        loader.start();
+        loader.start();
+        clock.tick(0);
+
+        expect(uiHandler.clickLoadMore.calledOnce).to.be.true;
+        expect(clock.countTimers()).to.equal(1);
+    });
+
+    it('should retry with exponential backoff while nothing arrives', () => {
+        loader.start();
+        clock.tick(0);
+
+        [250, 500, 1000, 2000].forEach((delay, i) => {
+            clock.tick(delay - 1);
+            expect(uiHandler.clickLoadMore.callCount).to.equal(i + 1);
+            clock.tick(1);
+            expect(uiHandler.clickLoadMore.callCount).to.equal(i + 2);
+        });
+    });
+
+    it('should cap the backoff delay', () => {
+        loader.MAX_RETRIES = 10;
+        loader.start();
+        clock.tick(0);
+        clock.tick(250 + 500 + 1000 + 2000 + 4000);
+
+        expect(loader.delay).to.equal(4000);
+        clock.tick(4000);
+        expect(loader.delay).to.equal(4000);
+    });
+
+    it('should reset the backoff when new activities arrive', () => {
+        loader.start();
+        clock.tick(0);
+        clock.tick(250 + 500);
+        expect(loader.delay).to.equal(1000);
+
+        loader.notify();
+        clock.tick(0);
+
+        expect(loader.delay).to.equal(250);
+        expect(loader.retries).to.equal(0);
+        expect(uiHandler.clickLoadMore.callCount).to.equal(4);
+    });
+
+    it('should report the end of the feed when no new activities arrive', () => {
+        loader.start();
+        clock.tick(0);
+        clock.tick(250 + 500 + 1000 + 2000 + 4000);
+
+        expect(onComplete.calledOnceWith('end-of-feed')).to.be.true;
+        expect(loader.state).to.equal('ended');
+        expect(uiHandler.clickLoadMore.callCount).to.equal(5);
+        expect(clock.countTimers()).to.equal(0);
+    });
+
+    it('should report completion when it should not continue', () => {
+        loader.start();
+        clock.tick(0);
+        shouldContinue.returns(false);
+
+        loader.notify();
+        clock.tick(0);
+
+        expect(onComplete.calledOnceWith('complete')).to.be.true;
+        expect(loader.isLoading()).to.be.false;
+        expect(clock.countTimers()).to.equal(0);
+    });
+
+    it('should ignore new activities while idle', () => {
+        loader.notify();
+        clock.tick(1000);
+
+        expect(uiHandler.clickLoadMore.called).to.be.false;
+    });
+
+    it('should only mark the first click after new activities as a new click', () => {
+        loader.start();
+        clock.tick(0);
+        clock.tick(250 + 500);
+
+        loader.notify();
+        clock.tick(0);
+
+        expect(uiHandler.clickLoadMore.args.map(([isRetry]) => isRetry)).to.deep.equal([false, true, true, false]);
+    });
+
+    it('should not start again after reaching the end of the feed until restarting is allowed', () => {
+        loader.start();
+        clock.tick(0);
+        clock.tick(250 + 500 + 1000 + 2000 + 4000);
+
+        loader.start();
+        clock.tick(0);
+        expect(loader.state).to.equal('ended');
+        expect(uiHandler.clickLoadMore.callCount).to.equal(5);
+
+        loader.allowRestart();
+        loader.start();
+        clock.tick(0);
+
+        expect(loader.isLoading()).to.be.true;
+        expect(uiHandler.clickLoadMore.callCount).to.equal(6);
+    });
+});
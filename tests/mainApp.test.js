@@ -2,6 +2,8 @@ const MainApp = require("../src/activityFeedFilter.user").MainApp;
 const sinon = require('sinon');
 const expect = require('chai').expect;
 const { JSDOM } = require('jsdom');
+const fs = require('fs');
+const path = require('path');
 
 const jsdom = new JSDOM('<!doctype html><html lang="en"><body></body></html>');
 global.window = jsdom.window;
@@ -16,15 +18,28 @@ describe('MainApp', () => {
     beforeEach(() => {
         activityHandler = {
             processNode: sinon.spy(),
+            reprocessNode: sinon.spy(),
+            isConditionEnabled: sinon.stub().returns(false),
+            isOnPage: (node) => node.isConnected,
+            quickFilters: {},
             resetLoadCount: sinon.spy(),
             currentLoadCount: 0,
+            scannedCount: 0,
+            oldestAge: 0,
         };
 
         uiHandler = {
             assignLoadMore: sinon.spy(),
             clickLoadMore: sinon.spy(),
+            triggerScroll: sinon.spy(),
+            showProgress: sinon.spy(),
             userPressed: true,
+            loadClicks: 0,
             resetState: sinon.spy(),
+            resetRoute: sinon.spy(),
+            cancelLoading: sinon.spy(),
+            showToast: sinon.spy(),
+            showConfigNotice: sinon.spy(),
         };
 
         mainApp = new MainApp(activityHandler, uiHandler, {
@@ -41,38 +56,32 @@ describe('MainApp', () => {
     });
 
     describe('observeMutations', () => {
-        it('should call handleAddedNode and loadMoreOrReset if URL is allowed', () => {
-            const mutations = [{ addedNodes: [document.createElement('div')] }];
+        it('should call handleAddedNode if URL is allowed', () => {
+            const mutations = [{ target: document.body, addedNodes: [document.createElement('div')], removedNodes: [] }];
             const isAllowedUrlStub = sinon.stub(mainApp, 'isAllowedUrl').returns(true);
             const handleAddedNodeSpy = sinon.spy(mainApp, 'handleAddedNode');
-            const loadMoreOrResetSpy = sinon.spy(mainApp, 'loadMoreOrReset');
 
             mainApp.observeMutations(mutations);
 
             expect(isAllowedUrlStub.calledOnce).to.be.true;
             expect(handleAddedNodeSpy.calledOnce).to.be.true;
-            expect(loadMoreOrResetSpy.calledOnce).to.be.true;
 
             isAllowedUrlStub.restore();
             handleAddedNodeSpy.restore();
-            loadMoreOrResetSpy.restore();
         });
 
-        it('should not call handleAddedNode and loadMoreOrReset if URL is not allowed', () => {
-            const mutations = [{ addedNodes: [document.createElement('div')] }];
+        it('should not call handleAddedNode if URL is not allowed', () => {
+            const mutations = [{ target: document.body, addedNodes: [document.createElement('div')], removedNodes: [] }];
             const isAllowedUrlStub = sinon.stub(mainApp, 'isAllowedUrl').returns(false);
             const handleAddedNodeSpy = sinon.spy(mainApp, 'handleAddedNode');
-            const loadMoreOrResetSpy = sinon.spy(mainApp, 'loadMoreOrReset');
 
             mainApp.observeMutations(mutations);
 
             expect(isAllowedUrlStub.calledOnce).to.be.true;
             expect(handleAddedNodeSpy.called).to.be.false;
-            expect(loadMoreOrResetSpy.called).to.be.false;
 
             isAllowedUrlStub.restore();
             handleAddedNodeSpy.restore();
-            loadMoreOrResetSpy.restore();
         });
     });
 
@@ -95,6 +104,17 @@ describe('MainApp', () => {
             expect(uiHandler.assignLoadMore.calledOnce).to.be.true;
         });
 
+        it('should process an activity node only once', () => {
+            const activityNode = document.createElement('div');
+            activityNode.classList.add('activity-entry');
+
+            mainApp.handleAddedNode(activityNode);
+            mainApp.handleAddedNode(activityNode);
+
+            expect(activityHandler.processNode.calledOnce).to.be.true;
+            expect(activityNode.hasAttribute('data-filter-processed')).to.be.true;
+        });
+
         it('should not call ac.processNode or ui.assignLoadMore for other node types', () => {
             const otherNode = document.createElement('div');
 
@@ -103,40 +123,734 @@ describe('MainApp', () => {
             expect(activityHandler.processNode.called).to.be.false;
             expect(uiHandler.assignLoadMore.called).to.be.false;
         });
+
+        describe('feed containers', () => {
+            let container;
+
+            beforeEach(() => {
+                container = document.createElement('div');
+                container.innerHTML = fs.readFileSync(path.join(__dirname, 'data', 'feed-container.html'), 'utf8');
+            });
+
+            it('should process every activity inside an added container', () => {
+                mainApp.handleAddedNode(container);
+
+                const processed = activityHandler.processNode.getCalls().map(call => call.args[0].id);
+                expect(processed).to.deep.equal(['first', 'second', 'third']);
+                expect(uiHandler.assignLoadMore.calledOnceWith(container.querySelector('.load-more'))).to.be.true;
+            });
+
+            it('should not re-process entries when the container is added again', () => {
+                mainApp.handleAddedNode(container);
+                mainApp.handleAddedNode(container.querySelector('.activity-feed'));
+                mainApp.handleAddedNode(container.querySelector('#second'));
+
+                expect(activityHandler.processNode.callCount).to.equal(3);
+            });
+        });
+    });
+
+    describe('initializeObserver', () => {
+        let feedDom;
+        let previousDocument;
+        let previousHTMLElement;
+
+        beforeEach(() => {
+            feedDom = new JSDOM(`<!doctype html><html lang="en"><body>${fs.readFileSync(path.join(__dirname, 'data', 'feed-container.html'), 'utf8')}</body></html>`);
+            previousDocument = global.document;
+            previousHTMLElement = global.HTMLElement;
+            global.document = feedDom.window.document;
+            global.HTMLElement = feedDom.window.HTMLElement;
+            global.MutationObserver = feedDom.window.MutationObserver;
+        });
+
+        afterEach(() => {
+            sinon.restore();
+            mainApp.loader.stop();
+            mainApp.observer.disconnect();
+            global.document = previousDocument;
+            global.HTMLElement = previousHTMLElement;
+            delete global.MutationObserver;
+        });
+
+        it('should process activities that exist before the observer starts', () => {
+            sinon.stub(mainApp, 'isAllowedUrl').returns(true);
+
+            mainApp.initializeObserver();
+
+            expect(activityHandler.processNode.callCount).to.equal(3);
+            expect(uiHandler.assignLoadMore.calledOnce).to.be.true;
+            expect(mainApp.loader.isLoading()).to.be.true;
+        });
+
+        it('should count the activities that exist before loading starts', () => {
+            const clock = sinon.useFakeTimers();
+            sinon.stub(mainApp, 'isAllowedUrl').returns(true);
+            activityHandler.resetLoadCount = sinon.spy(() => activityHandler.currentLoadCount = 0);
+            activityHandler.processNode = sinon.spy(() => activityHandler.currentLoadCount++);
+            mainApp.config.options.targetLoadCount = 2;
+
+            mainApp.initializeObserver();
+            clock.tick(0);
+
+            expect(activityHandler.resetLoadCount.firstCall.calledBefore(activityHandler.processNode.firstCall)).to.be.true;
+            expect(uiHandler.clickLoadMore.called).to.be.false;
+            expect(mainApp.loader.isLoading()).to.be.false;
+        });
+
+        it('should not scan the page when the URL is not allowed', () => {
+            sinon.stub(mainApp, 'isAllowedUrl').returns(false);
+
+            mainApp.initializeObserver();
+
+            expect(activityHandler.processNode.called).to.be.false;
+        });
+
+        it('should discover activities nested in nodes added later', async () => {
+            sinon.stub(mainApp, 'isAllowedUrl').returns(true);
+            mainApp.initializeObserver();
+
+            const wrapper = document.createElement('div');
+            wrapper.innerHTML = '<section><div class="activity-entry" id="late"></div></section>';
+            document.body.appendChild(wrapper);
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(activityHandler.processNode.lastCall.args[0].id).to.equal('late');
+            expect(activityHandler.processNode.callCount).to.equal(4);
+        });
+    });
+
+    describe('entry changes', () => {
+        let clock;
+        let entry;
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers();
+            sinon.stub(mainApp, 'isAllowedUrl').returns(true);
+            entry = document.createElement('div');
+            entry.className = 'activity-entry';
+            entry.innerHTML = '<div class="actions"><span class="count">1</span></div>';
+            document.body.appendChild(entry);
+            mainApp.handleAddedNode(entry);
+        });
+
+        afterEach(() => {
+            sinon.restore();
+            document.body.innerHTML = '';
+        });
+
+        it('should re-process a changed entry once after the changes settle', () => {
+            const count = entry.querySelector('.count');
+
+            mainApp.observeMutations([{ target: count.firstChild, addedNodes: [], removedNodes: [] }]);
+            clock.tick(100);
+            mainApp.observeMutations([{ target: count, addedNodes: [], removedNodes: [] }]);
+            clock.tick(249);
+            expect(activityHandler.reprocessNode.called).to.be.false;
+
+            clock.tick(1);
+            expect(activityHandler.reprocessNode.calledOnceWith(entry)).to.be.true;
+        });
+
+        it('should ignore changes outside processed entries', () => {
+            const unprocessed = document.createElement('div');
+            unprocessed.className = 'activity-entry';
+            document.body.appendChild(unprocessed);
+
+            mainApp.observeMutations([{ target: unprocessed, addedNodes: [], removedNodes: [] }]);
+            mainApp.observeMutations([{ target: document.body, addedNodes: [], removedNodes: [] }]);
+            clock.tick(250);
+
+            expect(activityHandler.reprocessNode.called).to.be.false;
+        });
+
+        it('should ignore changes made by the script itself', () => {
+            const badge = document.createElement('div');
+            badge.className = 'filter-debug-badge';
+            entry.appendChild(badge);
+
+            mainApp.observeMutations([{ target: entry, addedNodes: [badge], removedNodes: [] }]);
+            mainApp.observeMutations([{ target: badge, addedNodes: [], removedNodes: [] }]);
+            clock.tick(250);
+
+            expect(activityHandler.reprocessNode.called).to.be.false;
+        });
+
+        it('should skip entries that were removed from the page', () => {
+            mainApp.observeMutations([{ target: entry, addedNodes: [], removedNodes: [] }]);
+            entry.remove();
+            clock.tick(250);
+
+            expect(activityHandler.reprocessNode.called).to.be.false;
+        });
     });
 
-    describe('loadMoreOrReset', () => {
-        it('should call ui.clickLoadMore if currentLoadCount < targetLoadCount and userPressed is true', () => {
+    describe('scheduleDiagnostics', () => {
+        let clock;
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers();
+            uiHandler.showWarning = sinon.spy();
+            mainApp.diagnostics = { inspect: sinon.spy(), inspectLoadMore: sinon.spy(), reset: sinon.spy(), report: sinon.stub().returns(['DIV.LIKES (div.action.likes)']) };
+        });
+
+        afterEach(() => {
+            sinon.restore();
+        });
+
+        it('should inspect processed activities and warn about broken selectors once the feed settled', () => {
+            sinon.stub(mainApp, 'isAllowedUrl').returns(true);
+            const activityNode = document.createElement('div');
+            activityNode.classList.add('activity-entry');
+
+            mainApp.handleAddedNode(activityNode);
+            mainApp.scheduleDiagnostics();
+            mainApp.scheduleDiagnostics();
+            clock.tick(9999);
+            expect(uiHandler.showWarning.called).to.be.false;
+
+            clock.tick(1);
+            expect(mainApp.diagnostics.inspect.calledOnceWith(activityNode)).to.be.true;
+            expect(uiHandler.showWarning.calledOnceWith(['DIV.LIKES (div.action.likes)'])).to.be.true;
+        });
+
+        it('should tell the diagnostics when a load more button was found', () => {
+            const button = document.createElement('div');
+            button.classList.add('load-more');
+
+            mainApp.assignLoadMore(button);
+
+            expect(mainApp.diagnostics.inspectLoadMore.calledOnce).to.be.true;
+        });
+
+        it('should not warn when the user left the feed', () => {
+            sinon.stub(mainApp, 'isAllowedUrl').returns(false);
+
+            mainApp.scheduleDiagnostics();
+            clock.tick(10000);
+
+            expect(uiHandler.showWarning.called).to.be.false;
+        });
+
+        it('should not warn when every selector matched', () => {
+            sinon.stub(mainApp, 'isAllowedUrl').returns(true);
+            mainApp.diagnostics.report.returns([]);
+
+            mainApp.scheduleDiagnostics();
+            clock.tick(10000);
+
+            expect(uiHandler.showWarning.called).to.be.false;
+        });
+    });
+
+    describe('loading', () => {
+        let clock;
+
+        const addActivity = () => {
+            const activityNode = document.createElement('div');
+            activityNode.classList.add('activity-entry');
+            mainApp.handleAddedNode(activityNode);
+        };
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers();
+        });
+
+        afterEach(() => {
+            mainApp.loader.stop();
+            clock.restore();
+        });
+
+        it('should click load more and scroll if currentLoadCount < targetLoadCount and userPressed is true', () => {
             activityHandler.currentLoadCount = 5;
-            uiHandler.userPressed = true;
 
-            mainApp.loadMoreOrReset();
+            mainApp.startLoading();
+            clock.tick(0);
 
             expect(uiHandler.clickLoadMore.calledOnce).to.be.true;
+            expect(uiHandler.triggerScroll.calledOnce).to.be.true;
         });
 
-        it('should call ac.resetLoadCount and ui.resetLoadCount if currentLoadCount is equal to targetLoadCount and userPressed is true', () => {
+        it('should reset the state once currentLoadCount reaches targetLoadCount', () => {
             activityHandler.currentLoadCount = 10;
-            uiHandler.userPressed = true;
 
-            mainApp.loadMoreOrReset();
+            mainApp.startLoading();
+            clock.tick(0);
 
-            expect(activityHandler.resetLoadCount.calledOnce).to.be.true;
+            expect(uiHandler.clickLoadMore.called).to.be.false;
             expect(uiHandler.resetState.calledOnce).to.be.true;
+            expect(mainApp.loader.isLoading()).to.be.false;
         });
 
-        it('should call ac.resetLoadCount and ui.resetLoadCount if currentLoadCount >= config.targetLoadCount or userPressed is false', () => {
-            activityHandler.currentLoadCount = 10;
+        it('should reset the state if userPressed is false', () => {
             uiHandler.userPressed = false;
 
-            mainApp.loadMoreOrReset();
+            mainApp.startLoading();
+            clock.tick(0);
+
+            expect(uiHandler.clickLoadMore.called).to.be.false;
+            expect(uiHandler.resetState.calledOnce).to.be.true;
+        });
+
+        it('should not restart a load that is already running', () => {
+            mainApp.startLoading();
+            mainApp.startLoading();
+            clock.tick(0);
 
             expect(activityHandler.resetLoadCount.calledOnce).to.be.true;
+            expect(uiHandler.clickLoadMore.calledOnce).to.be.true;
+        });
+
+        it('should take the next step as soon as new activities arrive', () => {
+            mainApp.startLoading();
+            clock.tick(0);
+
+            addActivity();
+            clock.tick(0);
+
+            expect(uiHandler.clickLoadMore.calledTwice).to.be.true;
+        });
+
+        it('should show the loading progress while loading', () => {
+            activityHandler.currentLoadCount = 7;
+
+            mainApp.startLoading();
+            clock.tick(0);
+
+            expect(uiHandler.showProgress.calledOnceWith(7, 10)).to.be.true;
+        });
+
+        const stopRules = [
+            { option: 'maxAgeHours', value: 24, state: () => activityHandler.oldestAge = 24 * 3600000 },
+            { option: 'maxLoadClicks', value: 5, state: () => uiHandler.loadClicks = 5 },
+            { option: 'maxScanned', value: 30, state: () => activityHandler.scannedCount = 30 },
+        ];
+
+        stopRules.forEach(({ option, value, state }) => {
+            it(`should stop loading once ${option} is reached`, () => {
+                mainApp.activeConfig.options[option] = value;
+
+                mainApp.startLoading();
+                clock.tick(0);
+                expect(uiHandler.clickLoadMore.calledOnce).to.be.true;
+
+                state();
+                addActivity();
+                clock.tick(0);
+                expect(uiHandler.clickLoadMore.calledOnce).to.be.true;
+                expect(uiHandler.resetState.calledOnce).to.be.true;
+            });
+        });
+
+        it('should ignore stop rules that are set to 0', () => {
+            Object.assign(mainApp.activeConfig.options, { maxAgeHours: 0, maxLoadClicks: 0, maxScanned: 0 });
+            Object.assign(activityHandler, { oldestAge: 1e12, scannedCount: 1000 });
+            uiHandler.loadClicks = 1000;
+
+            expect(mainApp.continueLoading()).to.be.true;
+        });
+
+        it('should tell the user at the end of the feed and wait for a new load more button', () => {
+            mainApp.startLoading();
+            clock.tick(0);
+            clock.tick(250 + 500 + 1000 + 2000 + 4000);
+
+            expect(uiHandler.showToast.calledOnceWith('No more activities to load')).to.be.true;
             expect(uiHandler.resetState.calledOnce).to.be.true;
+
+            mainApp.startLoading();
+            clock.tick(0);
+            expect(uiHandler.clickLoadMore.callCount).to.equal(5);
+
+            mainApp.assignLoadMore(document.createElement('div'));
+            mainApp.startLoading();
+            clock.tick(0);
+            expect(uiHandler.clickLoadMore.callCount).to.equal(6);
+        });
+
+        it('should stop loading when the route changes', () => {
+            global.window = { location: { href: 'https://anilist.co/home' } };
+            mainApp.startLoading();
+
+            mainApp.handleRouteChange();
+            clock.tick(0);
+
+            expect(uiHandler.clickLoadMore.called).to.be.false;
+            expect(mainApp.loader.isLoading()).to.be.false;
+        });
+    });
+
+    describe('hotkeys', () => {
+        let hotkeyDom;
+        let previousDocument;
+
+        const press = (init, target = document.body) => {
+            const event = new hotkeyDom.window.KeyboardEvent('keydown', { bubbles: true, cancelable: true, ...init });
+            target.dispatchEvent(event);
+            return event;
+        };
+
+        beforeEach(() => {
+            hotkeyDom = new JSDOM(`<!doctype html><html lang="en"><body>
+                <div class="activity-entry" id="processed"></div>
+                <div class="activity-entry" id="unprocessed"></div>
+                <input id="search">
+            </body></html>`);
+            previousDocument = global.document;
+            global.document = hotkeyDom.window.document;
+            mainApp.config.options.hotkeys = { pause: 'Alt+P', reverse: 'ctrl + shift + r', cancel: 'Alt+C', settings: '' };
+            mainApp.settings = { toggle: sinon.spy(), injectButton: sinon.spy() };
+            sinon.stub(mainApp, 'isAllowedUrl').returns(true);
+            global.HTMLElement = hotkeyDom.window.HTMLElement;
+            mainApp.handleAddedNode(document.getElementById('processed'));
+            mainApp.initializeHotkeys();
+        });
+
+        afterEach(() => {
+            sinon.restore();
+            global.document = previousDocument;
+            global.HTMLElement = jsdom.window.HTMLElement;
+        });
+
+        it('should pause filtering, re-evaluate processed entries and confirm it', () => {
+            const event = press({ key: 'π', code: 'KeyP', altKey: true });
+
+            expect(event.defaultPrevented).to.be.true;
+            expect(activityHandler.paused).to.be.true;
+            expect(activityHandler.reprocessNode.calledOnceWith(document.getElementById('processed'))).to.be.true;
+            expect(uiHandler.showToast.calledOnceWith('Filtering paused')).to.be.true;
+
+            press({ key: 'p', code: 'KeyP', altKey: true });
+            expect(activityHandler.paused).to.be.false;
+            expect(uiHandler.showToast.secondCall.args[0]).to.equal('Filtering resumed');
+        });
+
+        it('should flip reverseConditions live without changing the saved config', () => {
+            mainApp.config.options.reverseConditions = false;
+
+            press({ key: 'R', code: 'KeyR', ctrlKey: true, shiftKey: true });
+
+            expect(mainApp.resolveProfile('home').options.reverseConditions).to.be.true;
+            expect(mainApp.config.options.reverseConditions).to.be.false;
+            expect(activityHandler.reprocessNode.calledOnce).to.be.true;
+            expect(uiHandler.showToast.calledOnceWith('Reverse conditions on')).to.be.true;
+        });
+
+        it('should cancel auto-loading like the cancel button', () => {
+            press({ key: 'c', code: 'KeyC', altKey: true });
+
+            expect(uiHandler.cancelLoading.calledOnce).to.be.true;
+            expect(uiHandler.showToast.calledOnceWith('Auto-loading cancelled')).to.be.true;
+        });
+
+        it('should ignore disabled hotkeys, other keys and typing in inputs', () => {
+            press({ key: 's', code: 'KeyS', altKey: true });
+            press({ key: 'p', code: 'KeyP' });
+            const event = press({ key: 'p', code: 'KeyP', altKey: true }, document.getElementById('search'));
+
+            expect(mainApp.settings.toggle.called).to.be.false;
+            expect(activityHandler.paused).to.not.be.true;
+            expect(event.defaultPrevented).to.be.false;
+        });
+
+        it('should open the settings panel', () => {
+            mainApp.config.options.hotkeys.settings = 'Alt+S';
+
+            press({ key: 's', code: 'KeyS', altKey: true });
+
+            expect(mainApp.settings.toggle.calledOnce).to.be.true;
+        });
+    });
+
+    describe('toggleCondition', () => {
+        let previousDocument;
+        let previousHTMLElement;
+
+        beforeEach(() => {
+            const toggleDom = new JSDOM('<!doctype html><html lang="en"><body></body></html>');
+            previousDocument = global.document;
+            previousHTMLElement = global.HTMLElement;
+            global.document = toggleDom.window.document;
+            global.HTMLElement = toggleDom.window.HTMLElement;
+        });
+
+        afterEach(() => {
+            sinon.restore();
+            global.document = previousDocument;
+            global.HTMLElement = previousHTMLElement;
+        });
+
+        it('should flip the condition and re-run every activity seen this session', () => {
+            sinon.stub(mainApp, 'isAllowedUrl').returns(true);
+            mainApp.toolbar = { inject: sinon.spy(), update: sinon.spy() };
+            const [kept, removed, gone] = ['kept', 'removed', 'gone'].map(id => Object.assign(document.createElement('div'), { id, className: 'activity-entry' }));
+            document.body.append(kept, removed, gone);
+            [kept, removed, gone].forEach(mainApp.handleAddedNode);
+            removed.remove();
+            gone.remove();
+            activityHandler.isOnPage = (node) => node.isConnected || node === removed;
+
+            mainApp.toggleCondition('images');
+
+            expect(activityHandler.quickFilters).to.deep.equal({ images: true });
+            expect(activityHandler.reprocessNode.getCalls().map(call => call.args[0].id)).to.deep.equal(['kept', 'removed']);
+            expect(mainApp.toolbar.update.calledOnce).to.be.true;
+        });
+
+        it('should forget the activities of the previous feed when the route changes', () => {
+            global.window = { location: { href: 'https://anilist.co/home' } };
+            mainApp.handleAddedNode(Object.assign(document.createElement('div'), { className: 'activity-entry' }));
+
+            mainApp.handleRouteChange();
+
+            expect(mainApp.sessionEntries.size).to.equal(0);
+        });
+    });
+
+    describe('route changes', () => {
+        let routeDom;
+        let previousWindow;
+        let previousDocument;
+
+        beforeEach(() => {
+            routeDom = new JSDOM(`<!doctype html><html lang="en"><body>
+                <div class="activity-entry" id="processed" data-filter-processed></div>
+                <div class="activity-entry" id="new"></div>
+                <div class="load-more"></div>
+            </body></html>`, { url: 'https://anilist.co/home' });
+            previousWindow = global.window;
+            previousDocument = global.document;
+            global.window = routeDom.window;
+            global.document = routeDom.window.document;
+            mainApp.initializeRouteListener();
+        });
+
+        afterEach(() => {
+            sinon.restore();
+            global.window = previousWindow;
+            global.document = previousDocument;
+        });
+
+        it('should reset state and re-scan the page when the route changes', () => {
+            sinon.stub(mainApp, 'isAllowedUrl').returns(true);
+
+            window.history.pushState({}, '', '/user/name/');
+
+            expect(activityHandler.resetLoadCount.calledOnce).to.be.true;
+            expect(uiHandler.resetRoute.calledOnce).to.be.true;
+            expect(activityHandler.processNode.calledOnceWith(document.getElementById('new'))).to.be.true;
+            expect(uiHandler.assignLoadMore.calledOnceWith(document.querySelector('.load-more'))).to.be.true;
+        });
+
+        it('should not re-scan the page when the new route is not allowed', () => {
+            sinon.stub(mainApp, 'isAllowedUrl').returns(false);
+
+            window.history.replaceState({}, '', '/anime/1/');
+
+            expect(uiHandler.resetRoute.calledOnce).to.be.true;
+            expect(activityHandler.processNode.called).to.be.false;
+        });
+
+        it('should ignore history updates that keep the same URL', () => {
+            window.history.replaceState({ scroll: 1 }, '', '/home');
+
+            expect(uiHandler.resetRoute.called).to.be.false;
+        });
+
+        it('should patch the page history instead of the sandbox history when running in a userscript manager', () => {
+            sinon.stub(mainApp, 'isAllowedUrl').returns(false);
+            global.unsafeWindow = routeDom.window;
+            global.window = { location: routeDom.window.location, history: {}, addEventListener: sinon.spy() };
+
+            try {
+                mainApp.initializeRouteListener();
+                routeDom.window.history.pushState({}, '', '/user/name/');
+            } finally {
+                delete global.unsafeWindow;
+            }
+
+            expect(uiHandler.resetRoute.calledOnce).to.be.true;
+            expect(window.history).to.deep.equal({});
+            expect(window.addEventListener.called).to.be.false;
+        });
+
+        it('should handle popstate events', () => {
+            const handleRouteChangeStub = sinon.stub(mainApp, 'handleRouteChange');
+            mainApp.initializeRouteListener();
+
+            window.dispatchEvent(new window.PopStateEvent('popstate'));
+
+            expect(handleRouteChangeStub.calledOnce).to.be.true;
+        });
+    });
+
+    describe('applyConfig', () => {
+        it('should re-filter the activities already on the page', () => {
+            const pageDom = new JSDOM('<!doctype html><html lang="en"><body><div class="activity-entry" id="first"></div><div class="activity-entry" id="second"></div></body></html>');
+            const [previousDocument, previousHTMLElement] = [global.document, global.HTMLElement];
+            global.document = pageDom.window.document;
+            global.HTMLElement = pageDom.window.HTMLElement;
+            sinon.stub(mainApp, 'isAllowedUrl').returns(true);
+            mainApp.toolbar = { inject: sinon.spy(), update: sinon.spy() };
+
+            try {
+                document.querySelectorAll('.activity-entry').forEach(mainApp.handleAddedNode);
+                mainApp.applyConfig({ remove: { images: true }, options: { targetLoadCount: 5 }, runOn: { home: true } });
+            } finally {
+                sinon.restore();
+                global.document = previousDocument;
+                global.HTMLElement = previousHTMLElement;
+            }
+
+            expect(activityHandler.reprocessNode.getCalls().map(call => call.args[0].id)).to.deep.equal(['first', 'second']);
+            expect(mainApp.toolbar.update.calledOnce).to.be.true;
+        });
+
+        it('should replace the config of MainApp and ActivityHandler', () => {
+            const newConfig = { options: { targetLoadCount: 5 }, runOn: { home: true } };
+
+            mainApp.applyConfig(newConfig);
+
+            expect(mainApp.config).to.equal(newConfig);
+            expect(activityHandler.config).to.equal(newConfig);
         });
     });
 
     describe('isAllowedUrl', () => {
+        const baseConfig = () => ({
+            remove: { images: false, unliked: false },
+            options: { targetLoadCount: 10 },
+            runOn: { home: false, social: false, profile: false, guestHome: false },
+        });
+
+        it('should give ActivityHandler the global config for boolean locations', () => {
+            const config = baseConfig();
+            config.runOn.home = true;
+            mainApp.applyConfig(config);
+            global.window = { location: { href: 'https://anilist.co/home' } };
+
+            expect(mainApp.isAllowedUrl()).to.be.true;
+            expect(activityHandler.config).to.equal(config);
+            expect(activityHandler.location).to.equal('home');
+        });
+
+        it('should resolve the profile of the active location', () => {
+            const config = baseConfig();
+            config.runOn.home = { remove: { unliked: true }, options: { targetLoadCount: 3 } };
+            config.runOn.social = { remove: { images: true } };
+            mainApp.applyConfig(config);
+
+            global.window = { location: { href: 'https://anilist.co/home' } };
+            expect(mainApp.isAllowedUrl()).to.be.true;
+            expect(activityHandler.config.remove).to.deep.equal({ images: false, unliked: true });
+            expect(mainApp.activeConfig.options.targetLoadCount).to.equal(3);
+
+            global.window = { location: { href: 'https://anilist.co/anime/1/Title/social' } };
+            expect(mainApp.isAllowedUrl()).to.be.true;
+            expect(activityHandler.config.remove).to.deep.equal({ images: true, unliked: false });
+            expect(activityHandler.config.options.targetLoadCount).to.equal(10);
+            expect(config.remove).to.deep.equal({ images: false, unliked: false });
+        });
+
+        it('should use the profile targetLoadCount when loading more', () => {
+            const config = baseConfig();
+            config.runOn.home = { options: { targetLoadCount: 3 } };
+            mainApp.applyConfig(config);
+            global.window = { location: { href: 'https://anilist.co/home' } };
+            activityHandler.currentLoadCount = 5;
+
+            mainApp.isAllowedUrl();
+
+            expect(mainApp.continueLoading()).to.be.false;
+        });
+
+        it('should reverse the conditions of a profile that sets reverseConditions', () => {
+            const config = baseConfig();
+            config.runOn.home = { options: { reverseConditions: false } };
+            mainApp.applyConfig(config);
+            global.window = { location: { href: 'https://anilist.co/home' } };
+            mainApp.isAllowedUrl();
+
+            mainApp.toggleReverse();
+            expect(activityHandler.config.options.reverseConditions).to.be.true;
+            expect(uiHandler.showToast.lastCall.args[0]).to.equal('Reverse conditions on');
+
+            mainApp.toggleReverse();
+            expect(activityHandler.config.options.reverseConditions).to.be.false;
+            expect(uiHandler.showToast.lastCall.args[0]).to.equal('Reverse conditions off');
+            expect(config.runOn.home).to.deep.equal({ options: { reverseConditions: false } });
+        });
+
+        it('should drop the reverse override when a new config is saved', () => {
+            mainApp.applyConfig(baseConfig());
+            global.window = { location: { href: 'https://anilist.co/home' } };
+            mainApp.isAllowedUrl();
+            mainApp.toggleReverse();
+
+            const saved = baseConfig();
+            saved.options.reverseConditions = false;
+            mainApp.applyConfig(saved);
+            mainApp.isAllowedUrl();
+
+            expect(mainApp.reverseOverride).to.be.null;
+            expect(activityHandler.config.options.reverseConditions).to.be.false;
+        });
+
+        it('should discard cached profiles when a new config is applied', () => {
+            const config = baseConfig();
+            config.runOn.home = { remove: { images: true } };
+            mainApp.applyConfig(config);
+            global.window = { location: { href: 'https://anilist.co/home' } };
+            mainApp.isAllowedUrl();
+
+            const updated = baseConfig();
+            updated.runOn.home = { remove: { unliked: true } };
+            mainApp.applyConfig(updated);
+            mainApp.isAllowedUrl();
+
+            expect(activityHandler.config.remove).to.deep.equal({ images: false, unliked: true });
+        });
+
+        it('should merge subscribed filter lists into the active config', () => {
+            const config = baseConfig();
+            Object.assign(config.remove, { containsStrings: ['local'], users: [], media: [] });
+            config.keep = { users: [] };
+            config.options.subscriptions = [{ name: 'Spoilers', source: 'contains: spoiler\nuser: SpoilerBot' }];
+            config.runOn.home = { remove: { images: true } };
+            config.runOn.social = true;
+            mainApp.applyConfig(config);
+
+            global.window = { location: { href: 'https://anilist.co/home' } };
+            mainApp.isAllowedUrl();
+            expect(activityHandler.config.remove.containsStrings).to.deep.equal(['local', 'spoiler']);
+            expect(activityHandler.config.remove.images).to.be.true;
+
+            global.window = { location: { href: 'https://anilist.co/anime/1/Title/social' } };
+            mainApp.isAllowedUrl();
+            expect(activityHandler.config.remove.users).to.deep.equal(['SpoilerBot']);
+            expect(config.remove.containsStrings).to.deep.equal(['local']);
+        });
+
+        it('should show invalid filter list entries in the config notice instead of failing', () => {
+            const config = baseConfig();
+            config.options.subscriptions = [{ name: 'Spoilers', source: 'spoiler' }];
+
+            mainApp.applyConfig(config);
+
+            expect(uiHandler.showConfigNotice.calledOnceWith(['filter list Spoilers line 1 should be a \'type: value\' rule (ignored)'])).to.be.true;
+        });
+
+        it('should not show a notice when the filter lists are valid', () => {
+            const config = baseConfig();
+            Object.assign(config.remove, { containsStrings: [], users: [], media: [] });
+            config.keep = { users: [] };
+            config.options.subscriptions = [{ name: 'Spoilers', source: 'contains: spoiler' }];
+
+            mainApp.applyConfig(config);
+
+            expect(uiHandler.showConfigNotice.called).to.be.false;
+        });
+
         const testUrls = [
             'https://anilist.co/home',
             'https://anilist.co/user/username/',
@@ -0,0 +1,81 @@
+const sinon = require('sinon');
+const { expect } = require('chai');
+const { QuickFilterBar } = require('../src/activityFeedFilter.user');
+const { JSDOM } = require('jsdom');
+
+const jsdom = new JSDOM('<!doctype html><html lang="en"><body></body></html>');
+global.window = jsdom.window;
+global.document = jsdom.window.document;
+global.HTMLElement = jsdom.window.HTMLElement;
+
+describe('QuickFilterBar', () => {
+    let activityHandler;
+    let onToggle;
+    let toolbar;
+    let container;
+    let feed;
+
+    const pressed = () => Object.fromEntries([...toolbar.chips].map(([name, chip]) => [name, chip.getAttribute('aria-pressed') === 'true']));
+
+    beforeEach(() => {
+        activityHandler = {
+            config: { remove: { containsStrings: [] }, options: { reverseConditions: false } },
+            isConditionEnabled: (name) => name === 'images',
+        };
+        onToggle = sinon.spy();
+        toolbar = new QuickFilterBar(activityHandler, onToggle);
+
+        container = document.createElement('div');
+        feed = document.createElement('div');
+        container.appendChild(feed);
+        document.body.appendChild(container);
+    });
+
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    it('should inject the toolbar only once before the feed', () => {
+        toolbar.inject(feed);
+        toolbar.inject(feed);
+
+        expect(container.querySelectorAll('.filter-toolbar').length).to.equal(1);
+        expect(feed.previousElementSibling).to.equal(toolbar.toolbar);
+        expect([...toolbar.toolbar.children].map(chip => chip.textContent))
+            .to.deep.equal(['Images', 'Videos', 'Text', 'Uncommented', 'Unliked', 'Strings', 'Reverse']);
+    });
+
+    it('should show which conditions are active', () => {
+        toolbar.inject(feed);
+
+        expect(pressed()).to.deep.equal({
+            images: true,
+            videos: false,
+            text: false,
+            uncommented: false,
+            unliked: false,
+            containsStrings: false,
+            reverse: false,
+        });
+    });
+
+    it('should report clicked chips and reflect the new state after an update', () => {
+        toolbar.inject(feed);
+
+        toolbar.chips.get('reverse').click();
+        activityHandler.config.options.reverseConditions = true;
+        toolbar.update();
+
+        expect(onToggle.calledOnceWith('reverse')).to.be.true;
+        expect(pressed().reverse).to.be.true;
+    });
+
+    it('should disable the strings chip when no strings are configured', () => {
+        toolbar.inject(feed);
+        expect(toolbar.chips.get('containsStrings').disabled).to.be.true;
+
+        activityHandler.config.remove.containsStrings = [['spoiler']];
+        toolbar.update();
+        expect(toolbar.chips.get('containsStrings').disabled).to.be.false;
+    });
+});
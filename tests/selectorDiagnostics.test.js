@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const { JSDOM } = require('jsdom');
+const { SelectorDiagnostics, MainApp } = require('../src/activityFeedFilter.user');
+
+const FEED_CONTAINER = path.join(__dirname, 'data', 'feed-container.html');
+const FEED_CONTAINER_CHANGED = path.join(__dirname, 'data', 'feed-container-changed.html');
+
+describe('SelectorDiagnostics', () => {
+    let diagnostics;
+    let previousDocument;
+
+    const loadFeed = (file) => {
+        global.document = new JSDOM(`<!doctype html><html lang="en"><body>${fs.readFileSync(file, 'utf8')}</body></html>`).window.document;
+        document.querySelectorAll('.activity-entry').forEach(diagnostics.inspect);
+    };
+
+    beforeEach(() => {
+        diagnostics = new SelectorDiagnostics();
+        previousDocument = global.document;
+    });
+
+    afterEach(() => {
+        global.document = previousDocument;
+    });
+
+    it('should report nothing when the page matches every selector', () => {
+        loadFeed(FEED_CONTAINER);
+
+        expect(diagnostics.report()).to.be.empty;
+    });
+
+    it('should report the selectors that no activity matched', () => {
+        loadFeed(FEED_CONTAINER_CHANGED);
+
+        expect(diagnostics.report()).to.deep.equal([
+            'DIV.LIKES (div.action.likes)',
+            'DIV.REPLIES (div.action.replies)',
+            'LINK.USER (a.name)',
+        ]);
+    });
+
+    it('should report the activity selector when no activities were seen', () => {
+        global.document = new JSDOM('<!doctype html><html lang="en"><body></body></html>').window.document;
+
+        expect(diagnostics.report()).to.deep.equal(['DIV.ACTIVITY (div.activity-entry)']);
+    });
+
+    it('should report a missing load more button and unknown activity types', () => {
+        loadFeed(FEED_CONTAINER);
+        document.querySelector('.load-more').remove();
+        diagnostics.reset();
+        document.querySelectorAll('.activity-entry').forEach(entry => entry.className = 'activity-entry');
+        while (diagnostics.entries < diagnostics.PAGE_SIZE) {
+            document.querySelectorAll('.activity-entry').forEach(diagnostics.inspect);
+        }
+
+        expect(diagnostics.report()).to.deep.equal([
+            'DIV.BUTTON (div.load-more)',
+            'ACTIVITY (activity-text, activity-message, activity-anime_list, activity-manga_list)',
+        ]);
+    });
+
+    it('should not report the load more button when the feed is shorter than a page', () => {
+        loadFeed(FEED_CONTAINER);
+        document.querySelector('.load-more').remove();
+
+        expect(diagnostics.report()).to.be.empty;
+    });
+
+    it('should not report the load more button once it was seen during the visit', () => {
+        diagnostics.inspectLoadMore();
+        diagnostics.reset();
+        loadFeed(FEED_CONTAINER);
+        document.querySelector('.load-more').remove();
+        while (diagnostics.entries < diagnostics.PAGE_SIZE) {
+            document.querySelectorAll('.activity-entry').forEach(diagnostics.inspect);
+        }
+
+        expect(diagnostics.report()).to.be.empty;
+    });
+
+    it('should use the selectors overridden in the config', () => {
+        const mainApp = new MainApp({}, {}, { options: {}, runOn: {} });
+        mainApp.applyConfig({ options: { selectors: { DIV: { LIKES: 'div.action.like-count', REPLIES: 'div.action.reply-count' }, LINK: { USER: 'a.username' } } }, runOn: {} });
+
+        try {
+            loadFeed(FEED_CONTAINER_CHANGED);
+            expect(diagnostics.report()).to.be.empty;
+        } finally {
+            mainApp.applyConfig({ options: {}, runOn: {} });
+        }
+    });
+});
@@ -0,0 +1,156 @@
+const sinon = require('sinon');
+const { expect } = require('chai');
+const { SettingsPanel } = require('../src/activityFeedFilter.user');
+const { JSDOM } = require('jsdom');
+
+const jsdom = new JSDOM('<!doctype html><html lang="en"><body></body></html>');
+global.window = jsdom.window;
+global.document = jsdom.window.document;
+global.HTMLElement = jsdom.window.HTMLElement;
+
+describe('SettingsPanel', () => {
+    let settingsPanel;
+    let onSave;
+
+    const createConfig = () => ({
+        remove: { uncommented: false, unliked: false, text: false, images: false, videos: false, containsStrings: [], types: [], users: [], minLikes: 0, minReplies: 0, media: [] },
+        keep: { users: [] },
+        options: { targetLoadCount: 2, maxAgeHours: 0, maxLoadClicks: 0, maxScanned: 0, caseSensitive: false, reverseConditions: false, linkedConditions: [], filterExpression: '', removalMode: 'remove', debug: false, useApiData: true, selectors: {}, hotkeys: { pause: 'Alt+P' }, subscriptions: [] },
+        runOn: { home: true, social: true, profile: false, guestHome: false },
+    });
+
+    beforeEach(() => {
+        onSave = sinon.spy();
+        settingsPanel = new SettingsPanel(createConfig(), onSave, createConfig());
+    });
+
+    afterEach(() => {
+        settingsPanel.close();
+        document.body.innerHTML = '';
+    });
+
+    it('should inject the settings button only once before the feed', () => {
+        const container = document.createElement('div');
+        const feed = document.createElement('div');
+        container.appendChild(feed);
+        document.body.appendChild(container);
+
+        settingsPanel.injectButton(feed);
+        settingsPanel.injectButton(feed);
+
+        expect(container.querySelectorAll('.settings-button').length).to.equal(1);
+        expect(container.firstChild).to.equal(settingsPanel.button);
+    });
+
+    it('should render a control for every config key', () => {
+        settingsPanel.open();
+
+        const config = createConfig();
+        const keyCount = ['remove', 'keep', 'options', 'runOn'].reduce((sum, section) => sum + Object.keys(config[section]).length, 0);
+
+        expect(settingsPanel.fields.size).to.equal(keyCount);
+        expect(settingsPanel.fields.get('remove.images').input.type).to.equal('checkbox');
+        expect(settingsPanel.fields.get('options.targetLoadCount').input.type).to.equal('number');
+        expect(settingsPanel.fields.get('remove.containsStrings').input.tagName).to.equal('TEXTAREA');
+        expect(settingsPanel.fields.get('options.removalMode').input.tagName).to.equal('SELECT');
+    });
+
+    it('should save a valid config and pass it to the callback', () => {
+        settingsPanel.open();
+        settingsPanel.fields.get('remove.images').input.checked = true;
+        settingsPanel.fields.get('remove.containsStrings').input.value = '["spoiler"]';
+        settingsPanel.fields.get('options.removalMode').input.value = 'collapse';
+
+        expect(settingsPanel.save()).to.be.true;
+        expect(onSave.firstCall.args[0].options.removalMode).to.equal('collapse');
+        expect(onSave.calledOnce).to.be.true;
+        expect(onSave.firstCall.args[0].remove.images).to.be.true;
+        expect(onSave.firstCall.args[0].remove.containsStrings).to.deep.equal(['spoiler']);
+        expect(settingsPanel.panel.isConnected).to.be.false;
+    });
+
+    it('should show validation errors inline and not save', () => {
+        settingsPanel.open();
+        settingsPanel.fields.get('options.targetLoadCount').input.value = '0';
+
+        expect(settingsPanel.save()).to.be.false;
+        expect(onSave.called).to.be.false;
+        expect(settingsPanel.fields.get('options.targetLoadCount').error.textContent)
+            .to.match(/should be a positive non-zero integer/);
+    });
+
+    it('should report unknown keys in profiles with a suggestion', () => {
+        const config = createConfig();
+        config.runOn.home = { remove: { images: true } };
+        settingsPanel = new SettingsPanel(config, onSave, createConfig());
+        settingsPanel.open();
+        settingsPanel.fields.get('runOn.home').input.value = '{ "remove": { "imagez": true } }';
+
+        expect(settingsPanel.save()).to.be.false;
+        expect(settingsPanel.fields.get('runOn.home').error.textContent)
+            .to.equal('runOn.home.remove.imagez is not a known option, did you mean \'runOn.home.remove.images\'?');
+    });
+
+    describe('import', () => {
+        beforeEach(() => {
+            settingsPanel.open();
+        });
+
+        it('should preview the changes before an import is applied', () => {
+            settingsPanel.importInput.value = '{ "remove": { "images": true } }';
+
+            expect(settingsPanel.previewImport()).to.be.true;
+            expect([...settingsPanel.importDiff.children].map(item => item.textContent)).to.deep.equal(['remove.images: false -> true']);
+            expect(settingsPanel.applyImportButton.disabled).to.be.false;
+            expect(onSave.called).to.be.false;
+        });
+
+        it('should save the previewed import', () => {
+            settingsPanel.importInput.value = '{ "images": true }';
+            settingsPanel.previewImport();
+
+            expect(settingsPanel.applyImport()).to.be.true;
+            expect(onSave.calledOnce).to.be.true;
+            expect(onSave.firstCall.args[0].remove.images).to.be.true;
+            expect(settingsPanel.config.remove.images).to.be.true;
+            expect(settingsPanel.panel.isConnected).to.be.false;
+        });
+
+        it('should show validation errors and not allow an invalid import to be applied', () => {
+            settingsPanel.importInput.value = '{ "options": { "removalMode": "delete" } }';
+
+            expect(settingsPanel.previewImport()).to.be.false;
+            expect(settingsPanel.importErrors.textContent).to.match(/^options.removalMode should be/);
+            expect(settingsPanel.applyImportButton.disabled).to.be.true;
+            expect(settingsPanel.applyImport()).to.be.false;
+            expect(onSave.called).to.be.false;
+        });
+
+        it('should reject an import with a misspelled key', () => {
+            settingsPanel.importInput.value = '{ "options": { "reverseCondition": true } }';
+
+            expect(settingsPanel.previewImport()).to.be.false;
+            expect(settingsPanel.importErrors.textContent)
+                .to.equal('options.reverseCondition is not a known option, did you mean \'options.reverseConditions\'?');
+            expect(settingsPanel.applyImportButton.disabled).to.be.true;
+        });
+
+        it('should require a new preview after the pasted text changes', () => {
+            settingsPanel.importInput.value = '{ "remove": { "images": true } }';
+            settingsPanel.previewImport();
+            settingsPanel.importInput.dispatchEvent(new settingsPanel.importInput.ownerDocument.defaultView.Event('input'));
+
+            expect(settingsPanel.applyImport()).to.be.false;
+            expect(onSave.called).to.be.false;
+        });
+    });
+
+    it('should report invalid JSON for array fields', () => {
+        settingsPanel.open();
+        settingsPanel.fields.get('remove.containsStrings').input.value = '[unquoted]';
+
+        expect(settingsPanel.save()).to.be.false;
+        expect(settingsPanel.fields.get('remove.containsStrings').error.textContent)
+            .to.equal('remove.containsStrings should be valid JSON');
+    });
+});
@@ -0,0 +1,72 @@
+const sinon = require('sinon');
+const { expect } = require('chai');
+const { StatsPanel } = require('../src/activityFeedFilter.user');
+const { JSDOM } = require('jsdom');
+
+const jsdom = new JSDOM('<!doctype html><html lang="en"><body></body></html>');
+global.window = jsdom.window;
+global.document = jsdom.window.document;
+global.HTMLElement = jsdom.window.HTMLElement;
+
+describe('StatsPanel', () => {
+    let statsPanel;
+    let stats;
+
+    const createTotals = (seen, removed) => ({
+        seen,
+        removed,
+        kept: seen - removed,
+        loadMoreClicks: 1,
+        feeds: { home: { seen, removed, kept: seen - removed } },
+        conditions: { images: removed },
+    });
+
+    beforeEach(() => {
+        stats = { session: createTotals(4, 1), allTime: createTotals(40, 10), reset: sinon.spy() };
+        statsPanel = new StatsPanel(stats);
+    });
+
+    afterEach(() => {
+        statsPanel.close();
+        document.body.innerHTML = '';
+    });
+
+    it('should inject the stats button only once before the feed', () => {
+        const container = document.createElement('div');
+        const feed = document.createElement('div');
+        container.appendChild(feed);
+        document.body.appendChild(container);
+
+        statsPanel.injectButton(feed);
+        statsPanel.injectButton(feed);
+
+        expect(container.querySelectorAll('.stats-button').length).to.equal(1);
+    });
+
+    it('should show session and all-time totals side by side', () => {
+        statsPanel.open();
+
+        const rows = [...statsPanel.panel.querySelectorAll('tr')].map(row => [...row.cells].map(cell => cell.textContent));
+
+        expect(rows).to.deep.equal([
+            ['', 'Session', 'All time'],
+            ['Seen', '4', '40'],
+            ['Removed', '1', '10'],
+            ['Kept', '3', '30'],
+            ['Load More clicks', '1', '1'],
+            ['home: removed / seen', '1 / 4', '10 / 40'],
+            ['Removed by images', '1', '10'],
+        ]);
+    });
+
+    it('should reset the totals and re-render when reset is clicked', () => {
+        statsPanel.open();
+        const openSpy = sinon.spy(statsPanel, 'open');
+
+        [...statsPanel.panel.querySelectorAll('button')].find(button => button.textContent === 'Reset').click();
+
+        expect(stats.reset.calledOnce).to.be.true;
+        expect(openSpy.calledOnce).to.be.true;
+        expect(document.querySelectorAll('.stats-panel').length).to.equal(1);
+    });
+});
@@ -27,18 +27,129 @@ describe('UIHandler', () => {
 
         expect(uiHandler.loadMore).to.equal(loadMoreButton);
 
-        const simulateDomEventsSpy = sinon.spy(uiHandler, 'triggerScrollEvents');
+        uiHandler.onLoadMore = sinon.spy();
         const showCancelSpy = sinon.spy(uiHandler, 'displayCancel');
 
         uiHandler.clickLoadMore();
 
-        expect(simulateDomEventsSpy.calledOnce).to.be.true;
+        expect(uiHandler.onLoadMore.calledOnce).to.be.true;
         expect(showCancelSpy.calledOnce).to.be.true;
 
-        simulateDomEventsSpy.restore();
         showCancelSpy.restore();
     });
 
+    it('should forget the load more button when the route changes', () => {
+        uiHandler.assignLoadMore(document.createElement('button'));
+        uiHandler.userPressed = true;
+
+        uiHandler.resetRoute();
+
+        expect(uiHandler.loadMore).to.be.null;
+        expect(uiHandler.userPressed).to.be.false;
+    });
+
+    it('should show a single dismissible warning listing the broken selectors', () => {
+        const warnStub = sinon.stub(console, 'warn');
+
+        uiHandler.showWarning(['DIV.LIKES (div.action.likes)']);
+        uiHandler.showWarning(['DIV.LIKES (div.action.likes)', 'LINK.USER (a.name)']);
+
+        const warnings = document.querySelectorAll('.filter-warning');
+        expect(warnings.length).to.equal(1);
+        expect(warnings[0].textContent).to.include('DIV.LIKES (div.action.likes), LINK.USER (a.name)');
+        expect(warnStub.calledTwice).to.be.true;
+
+        warnings[0].click();
+        expect(document.querySelector('.filter-warning')).to.be.null;
+    });
+
+    it('should show the config problems in a notice next to the selector warning', () => {
+        const warnStub = sinon.stub(console, 'warn');
+        document.body.innerHTML = '';
+
+        uiHandler.showWarning(['DIV.LIKES (div.action.likes)']);
+        uiHandler.showConfigNotice(['remove.imagse is not a known option, did you mean \'remove.images\'? (ignored)']);
+
+        const banners = document.querySelectorAll('.filter-banners');
+        expect(banners.length).to.equal(1);
+        expect([...banners[0].children].map(banner => banner.className)).to.deep.equal(['filter-warning', 'filter-config-notice']);
+        expect(uiHandler.configNotice.textContent).to.include('did you mean \'remove.images\'?');
+        expect(warnStub.calledTwice).to.be.true;
+
+        uiHandler.configNotice.click();
+        expect(document.querySelector('.filter-config-notice')).to.be.null;
+        document.body.innerHTML = '';
+    });
+
+    it('should count automatic load more clicks', () => {
+        uiHandler.stats = { recordLoadMore: sinon.spy() };
+
+        uiHandler.clickLoadMore();
+        expect(uiHandler.stats.recordLoadMore.called).to.be.false;
+
+        const button = document.body.appendChild(document.createElement('button'));
+        uiHandler.assignLoadMore(button);
+        uiHandler.clickLoadMore();
+        expect(uiHandler.stats.recordLoadMore.calledOnce).to.be.true;
+        expect(uiHandler.loadClicks).to.equal(1);
+
+        uiHandler.resetState();
+        expect(uiHandler.loadClicks).to.equal(0);
+        button.remove();
+    });
+
+    it('should not count retries or clicks on a button that left the page', () => {
+        uiHandler.stats = { recordLoadMore: sinon.spy() };
+        const button = document.body.appendChild(document.createElement('button'));
+        const clickSpy = sinon.spy(button, 'click');
+        uiHandler.assignLoadMore(button);
+
+        uiHandler.clickLoadMore(true);
+        button.remove();
+        uiHandler.clickLoadMore();
+
+        expect(clickSpy.calledTwice).to.be.true;
+        expect(uiHandler.loadClicks).to.equal(0);
+        expect(uiHandler.stats.recordLoadMore.called).to.be.false;
+    });
+
+    it('should show the loading progress on the cancel button until the state resets', () => {
+        uiHandler.createCancel();
+
+        uiHandler.showProgress(7, 20);
+        expect(uiHandler.cancel.textContent).to.equal('Cancel (Loading… 7/20)');
+
+        uiHandler.resetState();
+        expect(uiHandler.cancel.textContent).to.equal('Cancel');
+        uiHandler.cancel.remove();
+    });
+
+    it('should cancel loading and hide the cancel button', () => {
+        uiHandler.createCancel();
+        uiHandler.userPressed = true;
+
+        uiHandler.cancel.click();
+
+        expect(uiHandler.userPressed).to.be.false;
+        expect(uiHandler.cancel.style.display).to.equal('none');
+        uiHandler.cancel.remove();
+    });
+
+    it('should show a single toast that disappears after a while', () => {
+        const clock = sinon.useFakeTimers();
+
+        uiHandler.showToast('Filtering paused');
+        uiHandler.showToast('Filtering resumed');
+
+        const toasts = document.querySelectorAll('.filter-toast');
+        expect(toasts.length).to.equal(1);
+        expect(toasts[0].textContent).to.equal('Filtering resumed');
+
+        clock.tick(2000);
+        expect(document.querySelector('.filter-toast')).to.be.null;
+        clock.restore();
+    });
+
     it('should reset the state', () => {
         uiHandler.userPressed = true;
         uiHandler.resetState();